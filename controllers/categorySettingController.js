@@ -0,0 +1,59 @@
+const CategorySetting = require('../models/CategorySetting');
+
+const SETTING_FIELDS = ['reorderLevel', 'reorderQuantity'];
+
+// Get the category settings of a store
+const getCategorySettings = async (req, res) => {
+  try {
+    const settings = await CategorySetting.find(req.storeFilter).sort({ store: 1, category: 1 });
+    res.json(settings);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Create or update the settings of a category. Send null to clear a value
+// so the default applies again.
+const upsertCategorySetting = async (req, res) => {
+  try {
+    const category = (req.params.category || '').trim();
+    if (!category) {
+      return res.status(400).json({ error: 'Category is required' });
+    }
+
+    const updates = {};
+    SETTING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const setting = await CategorySetting.findOneAndUpdate(
+      { store: req.store, category },
+      { $set: updates },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.json(setting);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Remove a category's settings
+const deleteCategorySetting = async (req, res) => {
+  try {
+    const setting = await CategorySetting.findOneAndDelete({ store: req.store, category: req.params.category });
+    if (!setting) {
+      return res.status(404).json({ error: 'Category setting not found' });
+    }
+    res.json({ message: 'Category setting deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getCategorySettings,
+  upsertCategorySetting,
+  deleteCategorySetting
+};
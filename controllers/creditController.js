@@ -1,121 +1,157 @@
+const mongoose = require('mongoose');
 const Credit = require('../models/Credit');
-const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const CurrencyRate = require('../models/CurrencyRate');
 const Transaction = require('../models/Transaction');
+const { runInTransaction } = require('../utils/db');
+const { decrementStock } = require('../utils/inventory');
+const { HttpError } = require('../utils/errors');
+const { roundMoney } = require('../utils/money');
+const { resolveCreditCustomer, assertWithinCreditLimit } = require('../utils/customers');
+const { resolveCheckoutPriceList } = require('../utils/priceLists');
+const { redactSecrets } = require('../utils/redact');
+const { calculateTotals, assertClientFigure, assertClientRate } = require('../utils/pricing');
+const { findOpenShiftId } = require('../utils/shifts');
+const { findActivePromotions, applyPromotions } = require('../utils/promotions');
+const { nextReceiptNumber } = require('../utils/receipts');
+const { renderStatementPdf } = require('../utils/receiptRenderer');
+const StoreProfile = require('../models/StoreProfile');
+
+const CREDIT_STATUSES = ['pending', 'partially_paid', 'paid', 'cancelled'];
 
 // Create a new credit transaction
 const createCredit = async (req, res) => {
   console.log('[DEBUG] createCredit: Received request to /api/credits');
-  console.log('[DEBUG] createCredit: Request body:', JSON.stringify(req.body, null, 2));
+  console.log('[DEBUG] createCredit: Request body:', JSON.stringify(redactSecrets(req.body), null, 2));
   try {
     const { 
       productsSold, 
-      store, 
+      customerId,
       customerName,
       totalLRD,
       totalUSD,
       currencyRate,
       preferredCurrency,
-      cashierName, // Added
+      dueDate,
+      priceListId,
+      approverUsername,
+      approverPassword,
       isTestTransaction = false // Added with default
     } = req.body;
 
-    if (!store) {
-      return res.status(400).json({ error: 'Store is required' });
-    }
+    // Store and cashier come from the session, not the request body
+    const store = req.store;
 
-    if (!customerName || customerName.trim() === '') {
+    if (!customerId && (!customerName || customerName.trim() === '')) {
       return res.status(400).json({ error: 'Customer name is required' });
     }
 
-    // Enhanced products with names and prices
-    const enhancedProductsSold = [];
-
-    // Validate products and update inventory
-    for (const item of productsSold) {
-      const product = await Product.findOne({ _id: item.product, store });
-      if (!product) {
-        return res.status(404).json({ error: `Product ${item.product} not found in store ${store}` });
-      }
-      if (product.pieces < item.quantity) {
-        return res.status(400).json({ error: `Insufficient quantity for product ${product.item}` });
-      }
-
-      // Update product quantity
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { pieces: -item.quantity } }
-      );
-
-      // Add enhanced product information
-      enhancedProductsSold.push({
-        ...item,
-        productName: product.item,
-        priceAtSale: {
-          USD: product.priceUSD,
-          LRD: product.priceLRD
-        }
+    // Totals are priced at the server's current rate; the till's figures are only checked
+    const exchangeRate = (await CurrencyRate.getRate()).lrdToUsd;
+    assertClientRate(currencyRate, exchangeRate);
+
+    // Stock decrements, the sale transaction and the credit commit or roll back together
+    const credit = await runInTransaction(async (session) => {
+      // The id is allocated up front so the stock ledger can point at the sale
+      const transactionId = new mongoose.Types.ObjectId();
+
+      // Link the sale to a customer record, priced from their price list
+      const customer = await resolveCreditCustomer({ customerId, customerName, store }, session);
+      const { priceList, approvedBy: priceListApprovedBy } = await resolveCheckoutPriceList({
+        priceListId, customer, store, user: req.user, credentials: { approverUsername, approverPassword }
+      }, session);
+
+      // Validate products and update inventory
+      const stockLines = await decrementStock(productsSold, store, session, exchangeRate, {
+        reason: 'sale',
+        referenceType: 'Transaction',
+        referenceId: transactionId,
+        user: req.user
+      }, priceList);
+
+      // Running promotions apply as they do to credit sales rung up at the till
+      const promotions = await findActivePromotions(store, new Date(), session);
+      const enhancedProductsSold = applyPromotions(stockLines, promotions, exchangeRate);
+      console.log('[DEBUG] createCredit: Enhanced products sold:', JSON.stringify(enhancedProductsSold, null, 2));
+
+      const totals = calculateTotals(enhancedProductsSold, {}, exchangeRate);
+      assertClientFigure('Total LRD', totalLRD, totals.totalLRD, 'LRD');
+      assertClientFigure('Total USD', totalUSD, totals.totalUSD, 'USD');
+
+      // Enforce the customer's credit limit
+      await assertWithinCreditLimit(customer, { LRD: totals.totalLRD, USD: totals.totalUSD }, session);
+
+      // Create a new Transaction document for the credit sale
+      const newTransaction = new Transaction({
+        _id: transactionId,
+        productsSold: enhancedProductsSold,
+        store,
+        customerName: customer.name,
+        customerId: customer._id,
+        priceList: priceList ? priceList._id : null,
+        priceListName: priceList ? priceList.name : undefined,
+        priceListApprovedBy: priceListApprovedBy ? priceListApprovedBy._id : null,
+        priceListApprovedByName: priceListApprovedBy ? priceListApprovedBy.username : undefined,
+        paymentMethod: 'CREDIT',
+        currency: 'CREDIT', // Indicates the nature of the transaction, not necessarily payment currency
+        promotionDiscountLRD: totals.promotionDiscountLRD,
+        promotionDiscountUSD: totals.promotionDiscountUSD,
+        totalAmount: 0, // For credit transactions, actual debt is in Credit doc
+        amountReceived: 0,
+        changeGiven: 0,
+        currencyRate: exchangeRate,
+        cashierId: req.user._id.toString(),
+        cashierName: req.user.username,
+        shift: await findOpenShiftId(req.user, store, session),
+        ...(await nextReceiptNumber(store, session)),
+        isTestTransaction,
+        // creditId will be added after Credit doc is saved
+      });
+      await newTransaction.save({ session });
+      console.log('[DEBUG] createCredit: Linked Transaction document saved:', JSON.stringify(newTransaction, null, 2));
+
+      // Create credit with the appropriate details, linking the transaction
+      const newCredit = new Credit({
+        productsSold: enhancedProductsSold, 
+        store,
+        customerName: customer.name,
+        customerId: customer._id,
+        totalLRD: totals.totalLRD,
+        totalUSD: totals.totalUSD,
+        status: 'pending',
+        preferredCurrency: preferredCurrency || 'LRD',
+        dueDate: dueDate || undefined,
+        transactionId: newTransaction._id 
       });
-    }
-    console.log('[DEBUG] createCredit: Enhanced products sold:', JSON.stringify(enhancedProductsSold, null, 2));
 
-    // Create a new Transaction document for the credit sale
-    const newTransaction = new Transaction({
-      productsSold: enhancedProductsSold,
-      store,
-      customerName,
-      paymentMethod: 'CREDIT',
-      currency: 'CREDIT', // Indicates the nature of the transaction, not necessarily payment currency
-      totalAmount: 0, // For credit transactions, actual debt is in Credit doc
-      amountReceived: 0,
-      changeGiven: 0,
-      currencyRate: currencyRate || 0, // Ensure currencyRate is present
-      cashierName: cashierName || 'N/A',
-      isTestTransaction,
-      // creditId will be added after Credit doc is saved
-    });
-    await newTransaction.save();
-    console.log('[DEBUG] createCredit: Linked Transaction document saved:', JSON.stringify(newTransaction, null, 2));
+      console.log('[DEBUG] createCredit: Credit document to be saved:', JSON.stringify(newCredit, null, 2));
+      await newCredit.save({ session });
+      console.log('[DEBUG] createCredit: Successfully created credit:', JSON.stringify(newCredit, null, 2));
 
-    // Create credit with the appropriate details, linking the transaction
-    const credit = new Credit({
-      productsSold: enhancedProductsSold, 
-      store,
-      customerName,
-      totalLRD: totalLRD || 0,
-      totalUSD: totalUSD || 0,
-      status: 'pending',
-      preferredCurrency: preferredCurrency || 'LRD',
-      transactionId: newTransaction._id 
-    });
-
-    console.log('[DEBUG] createCredit: Credit document to be saved:', JSON.stringify(credit, null, 2));
-    await credit.save();
-    console.log('[DEBUG] createCredit: Successfully created credit:', JSON.stringify(credit, null, 2));
+      // Update the transaction with the creditId
+      newTransaction.creditId = newCredit._id;
+      await newTransaction.save({ session });
+      console.log('[DEBUG] createCredit: Linked Transaction document updated with creditId:', JSON.stringify(newTransaction, null, 2));
 
-    // Update the transaction with the creditId
-    newTransaction.creditId = credit._id;
-    await newTransaction.save();
-    console.log('[DEBUG] createCredit: Linked Transaction document updated with creditId:', JSON.stringify(newTransaction, null, 2));
+      return newCredit;
+    });
 
     res.status(201).json(credit); // Respond with the credit document as before
   } catch (error) {
     console.error('Credit creation error:', error);
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 };
 
 // Get all credits for a store
 const getCredits = async (req, res) => {
   try {
-    const { store, status } = req.query;
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
-    }
+    const { status } = req.query;
 
-    const query = { store };
+    const query = { ...req.storeFilter };
     
     // Add status filter if provided
-    if (status && ['pending', 'paid'].includes(status)) {
+    if (status && CREDIT_STATUSES.includes(status)) {
       query.status = status;
     }
 
@@ -131,13 +167,8 @@ const getCredits = async (req, res) => {
 const getCreditById = async (req, res) => {
   try {
     const { id } = req.params;
-    const { store } = req.query;
 
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
-    }
-
-    const credit = await Credit.findOne({ _id: id, store });
+    const credit = await Credit.findOne({ _id: id, ...req.storeFilter });
     if (!credit) {
       return res.status(404).json({ error: 'Credit not found' });
     }
@@ -150,20 +181,36 @@ const getCreditById = async (req, res) => {
 // Get credits by customer name
 const getCreditsByCustomer = async (req, res) => {
   try {
-    const { customerName, store } = req.query;
-    
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
+    const { customerId, customerName } = req.query;
+
+    // A customer picked from the customer list is matched exactly
+    if (customerId) {
+      const credits = await Credit.find({ ...req.storeFilter, customerId }).sort({ date: -1 });
+      return res.json(credits);
     }
 
     if (!customerName) {
       return res.status(400).json({ error: 'Customer name parameter is required' });
     }
 
-    // Use regex for partial matching of customer name (case insensitive)
+    // Partial, case insensitive match on the normalized name so stray spaces
+    // and capitalisation don't split one customer into several
+    const namePattern = Customer.normalizeName(customerName)
+      .split(' ')
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\s+');
+
+    const customers = await Customer.find({
+      ...req.storeFilter,
+      normalizedName: { $regex: namePattern }
+    }).select('_id');
+
     const credits = await Credit.find({
-      store,
-      customerName: { $regex: customerName, $options: 'i' }
+      ...req.storeFilter,
+      $or: [
+        { customerId: { $in: customers.map(customer => customer._id) } },
+        { customerName: { $regex: namePattern, $options: 'i' } }
+      ]
     }).sort({ date: -1 });
 
     res.json(credits);
@@ -172,93 +219,142 @@ const getCreditsByCustomer = async (req, res) => {
   }
 };
 
-// Pay for a credit
+// Pay all or part of a credit. Each payment is added to the credit's ledger
+// and reduces the outstanding balance; the credit becomes 'paid' once the
+// balance in its preferred currency reaches zero.
 const payCredit = async (req, res) => {
   try {
     const { id } = req.params;
     const { 
       currency, 
-      store, 
       amountReceivedLRD,
       amountReceivedUSD,
-      change,
+      change: clientChange,
       changeCurrency,
       currencyRate 
     } = req.body;
+    const store = req.store;
 
-    if (!store) {
-      return res.status(400).json({ error: 'Store is required' });
+    if (!['LRD', 'USD', 'BOTH'].includes(currency)) {
+      return res.status(400).json({ error: 'Payment currency must be LRD, USD or BOTH' });
     }
-
-    // Find the credit
-    const credit = await Credit.findOne({ _id: id, store, status: 'pending' });
-    if (!credit) {
-      return res.status(404).json({ error: 'Pending credit not found' });
+    if (currency === 'BOTH' && changeCurrency !== undefined && changeCurrency !== null && !['LRD', 'USD'].includes(changeCurrency)) {
+      return res.status(400).json({ error: 'Change currency must be LRD or USD' });
     }
 
     // Validate payment information based on currency
-    if (currency === 'LRD') {
-      if (typeof amountReceivedLRD !== 'number' || amountReceivedLRD < credit.totalLRD) {
-        return res.status(400).json({ error: 'Amount received in LRD must be greater than or equal to the total' });
-      }
-    } else if (currency === 'USD') {
-      if (typeof amountReceivedUSD !== 'number' || amountReceivedUSD < credit.totalUSD) {
-        return res.status(400).json({ error: 'Amount received in USD must be greater than or equal to the total' });
-      }
-    } else if (currency === 'BOTH') {
-      if (typeof amountReceivedLRD !== 'number' || typeof amountReceivedUSD !== 'number') {
-        return res.status(400).json({ error: 'Both LRD and USD amounts must be provided for split payment' });
-      }
-      
-      // Check if combined payment is sufficient using the dynamic exchange rate
-      const EXCHANGE_RATE = currencyRate || 197;
-      const totalPaymentValueLRD = amountReceivedLRD + (amountReceivedUSD * EXCHANGE_RATE);
-      
-      if (totalPaymentValueLRD < credit.totalLRD) {
-        return res.status(400).json({ error: 'Combined payment amount is insufficient' });
-      }
+    const receivedLRD = currency === 'USD' ? 0 : amountReceivedLRD;
+    const receivedUSD = currency === 'LRD' ? 0 : amountReceivedUSD;
+    if (typeof receivedLRD !== 'number' || typeof receivedUSD !== 'number' || receivedLRD < 0 || receivedUSD < 0) {
+      return res.status(400).json({ error: currency === 'BOTH'
+        ? 'Both LRD and USD amounts must be provided for split payment'
+        : `Amount received in ${currency} must be a positive number` });
+    }
+    if (receivedLRD + receivedUSD <= 0) {
+      return res.status(400).json({ error: 'Payment amount must be greater than zero' });
     }
 
-    // Create a transaction for the payment
-    const transaction = new Transaction({
-      productsSold: credit.productsSold,
-      currency,
-      store,
-      amountReceivedLRD: currency === 'USD' ? 0 : amountReceivedLRD,
-      amountReceivedUSD: currency === 'LRD' ? 0 : amountReceivedUSD,
-      change,
-      changeCurrency: currency === 'BOTH' ? changeCurrency : currency,
-      totalLRD: credit.totalLRD,
-      totalUSD: credit.totalUSD,
-      type: 'sale'
-    });
+    // Payments are valued at the server's current rate
+    const EXCHANGE_RATE = (await CurrencyRate.getRate()).lrdToUsd;
+    assertClientRate(currencyRate, EXCHANGE_RATE);
 
-    await transaction.save();
+    const result = await runInTransaction(async (session) => {
+      // Find the credit
+      const credit = await Credit.findOne({ _id: id, store, status: { $in: ['pending', 'partially_paid'] } }).session(session);
+      if (!credit) {
+        throw new HttpError(404, 'Unpaid credit not found');
+      }
 
-    // Update the credit to paid
-    credit.status = 'paid';
-    credit.paidAt = new Date();
-    credit.paymentTransaction = transaction._id;
-    await credit.save();
+      const outstanding = credit.getOutstanding();
+
+      // Value the payment in the credit's preferred currency and cap it at the balance
+      let appliedLRD;
+      let appliedUSD;
+      let excessLRD;
+      let settled;
+      if (credit.preferredCurrency === 'USD') {
+        const tenderedUSD = receivedUSD + (receivedLRD / EXCHANGE_RATE);
+        appliedUSD = Math.min(tenderedUSD, outstanding.USD);
+        settled = outstanding.USD - tenderedUSD < 0.005;
+        appliedLRD = settled ? outstanding.LRD : appliedUSD * EXCHANGE_RATE;
+        excessLRD = (tenderedUSD - appliedUSD) * EXCHANGE_RATE;
+      } else {
+        const tenderedLRD = receivedLRD + (receivedUSD * EXCHANGE_RATE);
+        appliedLRD = Math.min(tenderedLRD, outstanding.LRD);
+        settled = outstanding.LRD - tenderedLRD < 0.005;
+        appliedUSD = settled ? outstanding.USD : appliedLRD / EXCHANGE_RATE;
+        excessLRD = tenderedLRD - appliedLRD;
+      }
 
-    res.status(200).json({ 
-      credit,
-      transaction
+      // Anything paid over the balance goes back as change
+      const paymentChangeCurrency = currency === 'BOTH' ? (changeCurrency || 'LRD') : currency;
+      const change = roundMoney(paymentChangeCurrency === 'USD' ? excessLRD / EXCHANGE_RATE : excessLRD);
+      assertClientFigure('Change', clientChange, change, paymentChangeCurrency);
+
+      // Create a transaction for the payment. The goods were already recorded by
+      // the credit sale, so the payment carries no products.
+      const transaction = new Transaction({
+        type: 'credit_payment',
+        productsSold: [],
+        currency,
+        store,
+        customerName: credit.customerName,
+        creditId: credit._id,
+        amountReceivedLRD: receivedLRD,
+        amountReceivedUSD: receivedUSD,
+        change,
+        changeCurrency: paymentChangeCurrency,
+        totalLRD: roundMoney(appliedLRD),
+        totalUSD: roundMoney(appliedUSD),
+        currencyRate: EXCHANGE_RATE,
+        cashierId: req.user._id.toString(),
+        cashierName: req.user.username,
+        shift: await findOpenShiftId(req.user, store, session),
+        ...(await nextReceiptNumber(store, session))
+      });
+      await transaction.save({ session });
+
+      credit.payments.push({
+        currency,
+        amountReceivedLRD: receivedLRD,
+        amountReceivedUSD: receivedUSD,
+        appliedLRD: roundMoney(appliedLRD),
+        appliedUSD: roundMoney(appliedUSD),
+        change,
+        changeCurrency: paymentChangeCurrency,
+        rate: EXCHANGE_RATE,
+        cashierId: req.user._id.toString(),
+        cashierName: req.user.username,
+        transaction: transaction._id
+      });
+
+      if (settled) {
+        credit.balanceLRD = 0;
+        credit.balanceUSD = 0;
+        credit.status = 'paid';
+        credit.paidAt = new Date();
+        credit.paymentTransaction = transaction._id;
+      } else {
+        credit.balanceLRD = roundMoney(outstanding.LRD - appliedLRD);
+        credit.balanceUSD = roundMoney(outstanding.USD - appliedUSD);
+        credit.status = 'partially_paid';
+      }
+      await credit.save({ session });
+
+      return { credit, transaction };
     });
+
+    res.status(200).json(result);
   } catch (error) {
     console.error('Credit payment error:', error);
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 };
 
 // Get credits by date range
 const getCreditsByDateRange = async (req, res) => {
   try {
-    const { startDate, endDate, store, status } = req.query;
-    
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
-    }
+    const { startDate, endDate, status } = req.query;
 
     const start = new Date(startDate);
     start.setHours(0, 0, 0, 0);
@@ -267,7 +363,7 @@ const getCreditsByDateRange = async (req, res) => {
     end.setHours(23, 59, 59, 999);
 
     const query = {
-      store,
+      ...req.storeFilter,
       date: {
         $gte: start,
         $lte: end
@@ -275,7 +371,7 @@ const getCreditsByDateRange = async (req, res) => {
     };
 
     // Add status filter if provided
-    if (status && ['pending', 'paid'].includes(status)) {
+    if (status && CREDIT_STATUSES.includes(status)) {
       query.status = status;
     }
 
@@ -283,11 +379,14 @@ const getCreditsByDateRange = async (req, res) => {
 
     // Calculate totals
     const totals = credits.reduce((acc, credit) => {
+      const outstanding = credit.getOutstanding();
       acc.totalLRD += credit.totalLRD;
       acc.totalUSD += credit.totalUSD;
+      acc.outstandingLRD += outstanding.LRD;
+      acc.outstandingUSD += outstanding.USD;
       acc.count += 1;
       return acc;
-    }, { totalLRD: 0, totalUSD: 0, count: 0 });
+    }, { totalLRD: 0, totalUSD: 0, outstandingLRD: 0, outstandingUSD: 0, count: 0 });
 
     res.json({
       credits,
@@ -301,35 +400,41 @@ const getCreditsByDateRange = async (req, res) => {
 // Get credit balance summary for a store
 const getCreditBalance = async (req, res) => {
   try {
-    const { store } = req.query;
-    
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
-    }
-
-    // Get pending credits
-    const pendingCredits = await Credit.find({ store, status: 'pending' });
+    // Get unpaid credits (including those paid off in part)
+    const pendingCredits = await Credit.find({ ...req.storeFilter, status: { $in: ['pending', 'partially_paid'] } });
     
-    // Calculate totals for pending credits
+    // Calculate outstanding balances for unpaid credits; the original amounts
+    // are kept alongside so the overall total still reflects everything issued
     const pendingTotals = pendingCredits.reduce((acc, credit) => {
-      acc.totalLRD += credit.totalLRD;
-      acc.totalUSD += credit.totalUSD;
+      const outstanding = credit.getOutstanding();
+      acc.totalLRD += outstanding.LRD;
+      acc.totalUSD += outstanding.USD;
+      acc.originalTotalLRD += credit.totalLRD;
+      acc.originalTotalUSD += credit.totalUSD;
       acc.count += 1;
+      if (credit.status === 'partially_paid') {
+        acc.partiallyPaidCount += 1;
+      }
       
       // Count by preferred currency
       if (credit.preferredCurrency === 'LRD') {
         acc.lrdCount += 1;
-        acc.lrdTotal += credit.totalLRD;
+        acc.lrdTotal += outstanding.LRD;
+        acc.originalLrdTotal += credit.totalLRD;
       } else {
         acc.usdCount += 1;
-        acc.usdTotal += credit.totalUSD;
+        acc.usdTotal += outstanding.USD;
+        acc.originalUsdTotal += credit.totalUSD;
       }
       
       return acc;
-    }, { totalLRD: 0, totalUSD: 0, count: 0, lrdCount: 0, usdCount: 0, lrdTotal: 0, usdTotal: 0 });
+    }, {
+      totalLRD: 0, totalUSD: 0, count: 0, partiallyPaidCount: 0, lrdCount: 0, usdCount: 0, lrdTotal: 0, usdTotal: 0,
+      originalTotalLRD: 0, originalTotalUSD: 0, originalLrdTotal: 0, originalUsdTotal: 0
+    });
 
     // Get paid credits
-    const paidCredits = await Credit.find({ store, status: 'paid' });
+    const paidCredits = await Credit.find({ ...req.storeFilter, status: 'paid' });
     
     // Calculate totals for paid credits
     const paidTotals = paidCredits.reduce((acc, credit) => {
@@ -349,8 +454,8 @@ const getCreditBalance = async (req, res) => {
       return acc;
     }, { totalLRD: 0, totalUSD: 0, count: 0, lrdCount: 0, usdCount: 0, lrdTotal: 0, usdTotal: 0 });
 
-    // Get recent credits (both pending and paid)
-    const recentCredits = await Credit.find({ store })
+    // Get recent credits (any status)
+    const recentCredits = await Credit.find(req.storeFilter)
       .sort({ date: -1 })
       .limit(20);
 
@@ -358,13 +463,13 @@ const getCreditBalance = async (req, res) => {
       pending: pendingTotals,
       paid: paidTotals,
       total: {
-        totalLRD: pendingTotals.totalLRD + paidTotals.totalLRD,
-        totalUSD: pendingTotals.totalUSD + paidTotals.totalUSD,
+        totalLRD: pendingTotals.originalTotalLRD + paidTotals.totalLRD,
+        totalUSD: pendingTotals.originalTotalUSD + paidTotals.totalUSD,
         count: pendingTotals.count + paidTotals.count,
         lrdCount: pendingTotals.lrdCount + paidTotals.lrdCount,
         usdCount: pendingTotals.usdCount + paidTotals.usdCount,
-        lrdTotal: pendingTotals.lrdTotal + paidTotals.lrdTotal,
-        usdTotal: pendingTotals.usdTotal + paidTotals.usdTotal
+        lrdTotal: pendingTotals.originalLrdTotal + paidTotals.lrdTotal,
+        usdTotal: pendingTotals.originalUsdTotal + paidTotals.usdTotal
       },
       recentCredits
     });
@@ -373,6 +478,322 @@ const getCreditBalance = async (req, res) => {
   }
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a credit without a due date may stay unpaid before it counts as overdue
+const DEFAULT_CREDIT_TERM_DAYS = parseInt(process.env.CREDIT_TERM_DAYS) || 30;
+
+const AGING_BUCKETS = [
+  { label: '0-30', maxDays: 30 },
+  { label: '31-60', maxDays: 60 },
+  { label: '61-90', maxDays: 90 },
+  { label: '90+', maxDays: Infinity }
+];
+
+const getAgingBucket = (daysOutstanding) => AGING_BUCKETS.find(bucket => daysOutstanding <= bucket.maxDays).label;
+
+const emptyAgingTotals = () => AGING_BUCKETS.reduce((acc, bucket) => {
+  acc[bucket.label] = { LRD: 0, USD: 0, count: 0 };
+  return acc;
+}, { total: { LRD: 0, USD: 0, count: 0 } });
+
+const addToAgingTotals = (totals, bucket, outstanding) => {
+  [totals[bucket], totals.total].forEach(entry => {
+    entry.LRD = roundMoney(entry.LRD + outstanding.LRD);
+    entry.USD = roundMoney(entry.USD + outstanding.USD);
+    entry.count += 1;
+  });
+};
+
+// Aging report of unpaid credits, bucketed by days outstanding since the sale,
+// with subtotals per store and per customer
+const getCreditAging = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+    const credits = await Credit.find({
+      ...req.storeFilter,
+      status: { $in: ['pending', 'partially_paid'] },
+      date: { $lte: asOf }
+    }).sort({ date: 1 });
+
+    const totals = emptyAgingTotals();
+    const storeTotals = {};
+    const customerTotals = {};
+
+    credits.forEach(credit => {
+      const outstanding = credit.getOutstanding();
+      const daysOutstanding = Math.max(0, Math.floor((asOf - credit.date) / DAY_MS));
+      const bucket = getAgingBucket(daysOutstanding);
+
+      addToAgingTotals(totals, bucket, outstanding);
+
+      if (!storeTotals[credit.store]) {
+        storeTotals[credit.store] = { store: credit.store, ...emptyAgingTotals() };
+      }
+      addToAgingTotals(storeTotals[credit.store], bucket, outstanding);
+
+      // Unlinked legacy credits are grouped by normalized name
+      const customerKey = `${credit.store}::${credit.customerId || Customer.normalizeName(credit.customerName)}`;
+      if (!customerTotals[customerKey]) {
+        customerTotals[customerKey] = {
+          customerId: credit.customerId,
+          customerName: credit.customerName,
+          store: credit.store,
+          oldestCreditDate: credit.date,
+          oldestDaysOutstanding: daysOutstanding,
+          ...emptyAgingTotals()
+        };
+      }
+      addToAgingTotals(customerTotals[customerKey], bucket, outstanding);
+    });
+
+    res.json({
+      asOf,
+      buckets: AGING_BUCKETS.map(bucket => bucket.label),
+      totals,
+      storeTotals: Object.values(storeTotals).sort((a, b) => b.total.LRD - a.total.LRD),
+      // Oldest debts first
+      customerTotals: Object.values(customerTotals).sort((a, b) => b.oldestDaysOutstanding - a.oldestDaysOutstanding)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Unpaid credits past their due date (or past the default credit term when no
+// due date was set), oldest debt first
+const getOverdueCredits = async (req, res) => {
+  try {
+    const now = new Date();
+    const termDays = parseInt(req.query.termDays) || DEFAULT_CREDIT_TERM_DAYS;
+    const termCutoff = new Date(now.getTime() - termDays * DAY_MS);
+
+    const credits = await Credit.find({
+      ...req.storeFilter,
+      status: { $in: ['pending', 'partially_paid'] },
+      $or: [
+        { dueDate: { $lt: now } },
+        { dueDate: null, date: { $lt: termCutoff } }
+      ]
+    });
+
+    const overdue = credits.map(credit => {
+      const effectiveDueDate = credit.dueDate || new Date(credit.date.getTime() + termDays * DAY_MS);
+      const outstanding = credit.getOutstanding();
+      return {
+        ...credit.toObject(),
+        effectiveDueDate,
+        daysOverdue: Math.floor((now - effectiveDueDate) / DAY_MS),
+        daysOutstanding: Math.floor((now - credit.date) / DAY_MS),
+        outstandingLRD: outstanding.LRD,
+        outstandingUSD: outstanding.USD
+      };
+    }).sort((a, b) => b.daysOverdue - a.daysOverdue);
+
+    const totals = overdue.reduce((acc, credit) => {
+      acc.outstandingLRD = roundMoney(acc.outstandingLRD + credit.outstandingLRD);
+      acc.outstandingUSD = roundMoney(acc.outstandingUSD + credit.outstandingUSD);
+      acc.count += 1;
+      return acc;
+    }, { outstandingLRD: 0, outstandingUSD: 0, count: 0 });
+
+    res.json({
+      termDays,
+      credits: overdue,
+      totals
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Set or clear the due date of an unpaid credit
+const updateCreditDueDate = async (req, res) => {
+  try {
+    const { dueDate } = req.body;
+
+    if (dueDate && isNaN(new Date(dueDate).getTime())) {
+      return res.status(400).json({ error: 'Invalid due date' });
+    }
+
+    const credit = await Credit.findOneAndUpdate(
+      { _id: req.params.id, store: req.store, status: { $in: ['pending', 'partially_paid'] } },
+      dueDate ? { $set: { dueDate: new Date(dueDate) } } : { $unset: { dueDate: 1 } },
+      { new: true }
+    );
+    if (!credit) {
+      return res.status(404).json({ error: 'Unpaid credit not found' });
+    }
+
+    res.json(credit);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Statement of a customer's credit account over a period.
+// ?from=&to= (dates, both optional), ?currency=LRD|USD and ?format=json|pdf
+// Amounts are in `currency`, by default the preferred currency of the
+// customer's latest credit. Credit sales add to the balance; payments and
+// returns taken off a credit reduce it. Voided (cancelled) credits are left out.
+const getCustomerStatement = async (req, res) => {
+  try {
+    const { from, to, currency: requestedCurrency, format = 'json' } = req.query;
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be json or pdf' });
+    }
+    if (requestedCurrency && !['LRD', 'USD'].includes(requestedCurrency)) {
+      return res.status(400).json({ error: 'Currency must be LRD or USD' });
+    }
+
+    const start = from ? new Date(from) : null;
+    const end = to ? new Date(to) : new Date();
+    if ((start && isNaN(start.getTime())) || isNaN(end.getTime())) {
+      return res.status(400).json({ error: 'Invalid statement period' });
+    }
+    if (start) {
+      start.setHours(0, 0, 0, 0);
+    }
+    end.setHours(23, 59, 59, 999);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.customer)) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    const customer = await Customer.findOne({ _id: req.params.customer, ...req.storeFilter });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const credits = await Credit.find({
+      store: customer.store,
+      customerId: customer._id,
+      status: { $ne: 'cancelled' },
+      date: { $lte: end }
+    }).sort({ date: 1 });
+
+    const currency = requestedCurrency
+      || (credits.length > 0 ? credits[credits.length - 1].preferredCurrency : null)
+      || 'LRD';
+
+    // Receipt numbers of the sales, payments and returns
+    const transactionIds = [];
+    credits.forEach(credit => {
+      transactionIds.push(credit.transactionId);
+      credit.payments.forEach(payment => payment.transaction && transactionIds.push(payment.transaction));
+      credit.returns.forEach(entry => entry.transaction && transactionIds.push(entry.transaction));
+      if (credit.paymentTransaction) {
+        transactionIds.push(credit.paymentTransaction);
+      }
+    });
+    const transactions = await Transaction.find({ _id: { $in: transactionIds } }).select('receiptNumber date');
+    const receiptNumbers = new Map(transactions.map(t => [t._id.toString(), t.receiptNumber || null]));
+    const receiptFor = (id) => (id ? receiptNumbers.get(id.toString()) || null : null);
+
+    const entries = [];
+    credits.forEach(credit => {
+      entries.push({
+        date: credit.date,
+        type: 'sale',
+        creditId: credit._id,
+        receiptNumber: receiptFor(credit.transactionId),
+        description: 'Credit sale',
+        lines: credit.productsSold.map(line => ({
+          productName: line.productName,
+          quantity: line.quantity,
+          unitPrice: line.priceAtSale[currency],
+          total: roundMoney(line.priceAtSale[currency] * line.quantity)
+        })),
+        amount: roundMoney(currency === 'USD' ? credit.totalUSD : credit.totalLRD)
+      });
+
+      credit.payments.forEach(payment => {
+        entries.push({
+          date: payment.date,
+          type: 'payment',
+          creditId: credit._id,
+          receiptNumber: receiptFor(payment.transaction),
+          description: `Payment (${payment.currency})`,
+          amount: -roundMoney(currency === 'USD' ? payment.appliedUSD : payment.appliedLRD)
+        });
+      });
+
+      credit.returns.forEach(entry => {
+        entries.push({
+          date: entry.date,
+          type: 'return',
+          creditId: credit._id,
+          receiptNumber: receiptFor(entry.transaction),
+          description: 'Goods returned',
+          amount: -roundMoney(currency === 'USD' ? entry.appliedUSD : entry.appliedLRD)
+        });
+      });
+
+      // Credits settled before the payments ledger only link the final payment
+      if (credit.status === 'paid' && credit.payments.length === 0) {
+        const returned = credit.returns.reduce((acc, entry) => acc + (currency === 'USD' ? entry.appliedUSD : entry.appliedLRD), 0);
+        entries.push({
+          date: credit.paidAt || credit.date,
+          type: 'payment',
+          creditId: credit._id,
+          receiptNumber: receiptFor(credit.paymentTransaction),
+          description: 'Payment',
+          amount: -roundMoney((currency === 'USD' ? credit.totalUSD : credit.totalLRD) - returned)
+        });
+      }
+    });
+    entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    let balance = 0;
+    let openingBalance = 0;
+    const periodEntries = [];
+    const totals = { sales: 0, payments: 0, returns: 0 };
+    entries.forEach(entry => {
+      if (new Date(entry.date) > end) {
+        return;
+      }
+      balance = roundMoney(balance + entry.amount);
+      if (start && new Date(entry.date) < start) {
+        openingBalance = balance;
+        return;
+      }
+      const key = entry.type === 'sale' ? 'sales' : `${entry.type}s`;
+      totals[key] = roundMoney(totals[key] + Math.abs(entry.amount));
+      periodEntries.push({ ...entry, balance });
+    });
+
+    const statement = {
+      customer: {
+        _id: customer._id,
+        name: customer.name,
+        phone: customer.phone,
+        address: customer.address,
+        store: customer.store
+      },
+      currency,
+      from: start,
+      to: end,
+      openingBalance,
+      entries: periodEntries,
+      totals,
+      closingBalance: balance,
+      generatedAt: new Date()
+    };
+
+    if (format === 'pdf') {
+      const profile = await StoreProfile.findOne({ store: customer.store });
+      const pdf = await renderStatementPdf(statement, { profile });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="statement-${customer.normalizedName.replace(/[^a-z0-9]+/g, '-')}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.json(statement);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 module.exports = {
   createCredit,
   getCredits,
@@ -380,5 +801,9 @@ module.exports = {
   getCreditsByCustomer,
   payCredit,
   getCreditsByDateRange,
-  getCreditBalance
+  getCreditBalance,
+  getCreditAging,
+  getOverdueCredits,
+  updateCreditDueDate,
+  getCustomerStatement
 };
@@ -1,5 +1,8 @@
 const CurrencyRate = require('../models/CurrencyRate');
-const Product = require('../models/Product');
+const { repriceProducts } = require('../utils/repricing');
+const { recordStoreAccess } = require('../middleware/storeScope');
+const { HttpError } = require('../utils/errors');
+const { runInTransaction } = require('../utils/db');
 
 // Get the current currency rate
 exports.getCurrentRate = async (req, res) => {
@@ -8,7 +11,9 @@ exports.getCurrentRate = async (req, res) => {
     // Frontend expects { rate: number }
     res.status(200).json({ 
       rate: rateDoc.lrdToUsd,
-      updatedAt: rateDoc.updatedAt
+      updatedAt: rateDoc.updatedAt,
+      effectiveFrom: rateDoc.effectiveFrom,
+      setByName: rateDoc.setByName
     });
   } catch (error) {
     console.error('Error fetching currency rate:', error);
@@ -16,11 +21,122 @@ exports.getCurrentRate = async (req, res) => {
   }
 };
 
-// Update the currency rate
+// Get the rate that was in force on a given date (?date=YYYY-MM-DD or ISO timestamp)
+exports.getRateAt = async (req, res) => {
+  try {
+    const { date } = req.query;
+    const at = date ? new Date(date) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    // Ensure legacy data is backfilled and a default exists
+    await CurrencyRate.getRate();
+    const rateDoc = await CurrencyRate.getRateAt(at);
+
+    res.status(200).json({
+      date: at,
+      rate: rateDoc.lrdToUsd,
+      effectiveFrom: rateDoc.effectiveFrom,
+      setByName: rateDoc.setByName
+    });
+  } catch (error) {
+    console.error('Error fetching historical currency rate:', error);
+    res.status(500).json({ error: 'Failed to fetch currency rate' });
+  }
+};
+
+// Get the rate history, newest first (?from=&to=&page=&limit=)
+exports.getRateHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { from, to } = req.query;
+
+    // Make sure the pre-history entry has an effectiveFrom to filter on
+    await CurrencyRate.getRate();
+
+    const query = {};
+    if (from || to) {
+      query.effectiveFrom = {};
+      if (from) {
+        query.effectiveFrom.$gte = new Date(from);
+      }
+      if (to) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);
+        query.effectiveFrom.$lte = end;
+      }
+    }
+
+    const totalCount = await CurrencyRate.countDocuments(query);
+    const history = await CurrencyRate.find(query)
+      .sort({ effectiveFrom: -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.status(200).json({
+      history: history.map(entry => ({
+        _id: entry._id,
+        rate: entry.lrdToUsd,
+        effectiveFrom: entry.effectiveFrom,
+        setBy: entry.setBy,
+        setByName: entry.setByName,
+        note: entry.note,
+        createdAt: entry.createdAt
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching currency rate history:', error);
+    res.status(500).json({ error: 'Failed to fetch currency rate history' });
+  }
+};
+
+// Stores repriced by repricePreview. Managers only reprice their own store;
+// admins reprice the stores they name, or every store, and any store other
+// than their own is logged like other cross-store access.
+const getRepriceStores = async (req) => {
+  const { body, user } = req;
+  const requested = Array.isArray(body.stores) ? body.stores : (body.store ? [body.store] : undefined);
+
+  if (user.userType !== 'admin') {
+    if (requested && requested.some(store => store !== user.store)) {
+      throw new HttpError(403, 'You can only reprice products in your own store');
+    }
+    return [user.store];
+  }
+
+  if (!requested || requested.length === 0) {
+    await recordStoreAccess(req, '*');
+    return undefined;
+  }
+  for (const store of requested.filter(store => store !== user.store)) {
+    await recordStoreAccess(req, store);
+  }
+  return requested;
+};
+
+// Reads the rounding options shared by updateRate and repricePreview
+const getRoundingOptions = (body) => ({
+  roundTo: body.roundTo !== undefined ? Number(body.roundTo) : undefined,
+  roundMode: ['nearest', 'up', 'down'].includes(body.roundMode) ? body.roundMode : undefined
+});
+
+// Update the currency rate (admins only). Every change is stored as a new
+// history entry and USD-priced products are repriced in LRD at the new rate.
+// The rate is shared by all stores, so every store is repriced, in the same
+// transaction as the rate is saved.
+// Body: { rate, effectiveFrom?, note?, dryRun?, reprice?, roundTo?, roundMode? }
+// With dryRun the rate is not saved and only the repricing preview is returned.
 exports.updateRate = async (req, res) => {
   try {
     // Frontend sends 'rate', model uses 'lrdToUsd'
-    let { lrdToUsd, rate: inputRate } = req.body;
+    let { lrdToUsd, rate: inputRate, effectiveFrom, note, dryRun, reprice } = req.body;
     
     // Use rate if lrdToUsd is not provided
     if (!lrdToUsd && inputRate) {
@@ -31,51 +147,72 @@ exports.updateRate = async (req, res) => {
     if (!lrdToUsd || isNaN(lrdToUsd) || lrdToUsd <= 0) {
       return res.status(400).json({ error: 'Invalid currency rate. Please provide a positive number.' });
     }
-    
-    console.log(`[CurrencyRate] Updating rate to ${lrdToUsd}. Recalculating product LRD prices...`);
 
-    // Find the existing rate or create a new one
-    let rate = await CurrencyRate.findOne();
-    
-    if (rate) {
-      // Update existing rate
-      rate.lrdToUsd = lrdToUsd;
-      rate.updatedAt = Date.now();
-      await rate.save();
-    } else {
-      // Create new rate
-      rate = await CurrencyRate.create({ lrdToUsd });
+    const now = new Date();
+    const effectiveDate = effectiveFrom ? new Date(effectiveFrom) : now;
+    if (isNaN(effectiveDate.getTime()) || effectiveDate > now) {
+      return res.status(400).json({ error: 'Effective date must be a valid date that is not in the future' });
     }
 
-    // Update all products' LRD prices based on the new rate
-    // We use an aggregation pipeline in updateMany to reference existing fields
-    const updateResult = await Product.updateMany(
-      { priceUSD: { $exists: true, $ne: null } },
-      [
-        {
-          $set: {
-            priceLRD: { $multiply: ["$priceUSD", Number(lrdToUsd)] }
-          }
-        },
-        {
-          $set: {
-            totalLRD: {
-              $cond: {
-                if: { $ifNull: ["$pieces", false] },
-                then: { $multiply: ["$pieces", "$priceLRD"] },
-                else: "$totalLRD"
-              }
-            }
-          }
-        }
-      ]
-    );
-    
-    console.log(`[CurrencyRate] Product update result: Matched ${updateResult.matchedCount}, Modified ${updateResult.modifiedCount}`);
-    
-    res.status(200).json(rate);
+    const repriceOptions = { ...getRoundingOptions(req.body), rate: Number(lrdToUsd) };
+
+    if (dryRun) {
+      const repricing = await repriceProducts({ ...repriceOptions, dryRun: true });
+      return res.status(200).json({ dryRun: true, rate: Number(lrdToUsd), repricing });
+    }
+
+    // Capture the rate in force before this change
+    const previousRate = await CurrencyRate.getRate();
+
+    // A back-dated entry older than the current rate only corrects history
+    const historical = previousRate.effectiveFrom && effectiveDate < previousRate.effectiveFrom;
+    const repricesProducts = !historical && reprice !== false;
+
+    const { rate, repricing } = await runInTransaction(async (session) => {
+      const [rate] = await CurrencyRate.create([{
+        lrdToUsd: Number(lrdToUsd),
+        effectiveFrom: effectiveDate,
+        setBy: req.user._id,
+        setByName: req.user.username,
+        note
+      }], { session });
+
+      if (!repricesProducts) {
+        return { rate };
+      }
+      await recordStoreAccess(req, '*', session);
+      return { rate, repricing: await repriceProducts(repriceOptions, session) };
+    });
+
+    if (historical) {
+      console.log(`[CurrencyRate] Recorded historical rate ${lrdToUsd} effective ${effectiveDate.toISOString()}. Current rate unchanged.`);
+    }
+    if (!repricing) {
+      return res.status(200).json(rate);
+    }
+
+    console.log(`[CurrencyRate] Updated rate to ${lrdToUsd}. Repricing result: Scanned ${repricing.scanned}, Changed ${repricing.changed}`);
+    res.status(200).json({ ...rate.toObject(), repricing });
   } catch (error) {
     console.error('Error updating currency rate:', error);
-    res.status(500).json({ error: 'Failed to update currency rate' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update currency rate' });
+  }
+};
+
+// Reprice USD-priced products at the current rate, e.g. to apply a different
+// rounding rule. Pass dryRun to preview the changes without saving them.
+exports.repricePreview = async (req, res) => {
+  try {
+    const rateDoc = await CurrencyRate.getRate();
+    const repricing = await repriceProducts({
+      stores: await getRepriceStores(req),
+      ...getRoundingOptions(req.body),
+      rate: rateDoc.lrdToUsd,
+      dryRun: req.body.dryRun !== false
+    });
+    res.status(200).json(repricing);
+  } catch (error) {
+    console.error('Error repricing products:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to reprice products' });
   }
 };
@@ -0,0 +1,201 @@
+const Customer = require('../models/Customer');
+const Credit = require('../models/Credit');
+const PriceList = require('../models/PriceList');
+const { getCustomerOutstanding } = require('../utils/customers');
+
+// Credit limits and price lists are set by managers and admins
+const canSetCustomerTerms = (user) => ['admin', 'manager'].includes(user.userType);
+
+// A customer can only be given an active price list of their own store
+const isStorePriceList = async (priceListId, store) =>
+  Boolean(await PriceList.exists({ _id: priceListId, store, active: true }));
+
+// Create a new customer
+const createCustomer = async (req, res) => {
+  try {
+    const { name, phone, address, creditLimit, creditLimitCurrency, priceList, notes } = req.body;
+
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ error: 'Customer name is required' });
+    }
+
+    if (creditLimit !== undefined && !canSetCustomerTerms(req.user)) {
+      return res.status(403).json({ error: 'Only managers and admins can set credit limits' });
+    }
+
+    if (priceList) {
+      if (!canSetCustomerTerms(req.user)) {
+        return res.status(403).json({ error: 'Only managers and admins can set price lists' });
+      }
+      if (!(await isStorePriceList(priceList, req.store))) {
+        return res.status(404).json({ error: 'Price list not found' });
+      }
+    }
+
+    const existing = await Customer.findOne({ store: req.store, normalizedName: Customer.normalizeName(name) });
+    if (existing) {
+      return res.status(400).json({ error: 'A customer with this name already exists in this store' });
+    }
+
+    const customer = new Customer({
+      name,
+      phone,
+      address,
+      store: req.store,
+      creditLimit,
+      creditLimitCurrency,
+      priceList: priceList || null,
+      notes
+    });
+    await customer.save();
+
+    res.status(201).json(customer);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get customers for a store, optionally filtered by a search term
+const getCustomers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const search = req.query.search || '';
+
+    const query = { ...req.storeFilter };
+    if (search) {
+      const escaped = Customer.normalizeName(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { normalizedName: { $regex: escaped } },
+        { phone: { $regex: escaped } }
+      ];
+    }
+
+    const totalCount = await Customer.countDocuments(query);
+    const totalPages = Math.ceil(totalCount / limit);
+    const customers = await Customer.find(query)
+      .sort({ normalizedName: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      customers,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        totalItems: totalCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get a customer with their outstanding credit balance
+const getCustomerById = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, ...req.storeFilter });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const outstanding = await getCustomerOutstanding(customer._id);
+    const availableCredit = customer.creditLimit === null || customer.creditLimit === undefined
+      ? null
+      : Math.max(0, customer.creditLimit - outstanding[customer.creditLimitCurrency || 'LRD']);
+
+    res.json({
+      ...customer.toObject(),
+      outstandingLRD: outstanding.LRD,
+      outstandingUSD: outstanding.USD,
+      availableCredit
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Update a customer's details
+const updateCustomer = async (req, res) => {
+  try {
+    const allowedFields = ['name', 'phone', 'address', 'creditLimit', 'creditLimitCurrency', 'priceList', 'notes'];
+    const updates = {};
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if ((updates.creditLimit !== undefined || updates.creditLimitCurrency !== undefined) && !canSetCustomerTerms(req.user)) {
+      return res.status(403).json({ error: 'Only managers and admins can change credit limits' });
+    }
+
+    if (updates.priceList !== undefined) {
+      if (!canSetCustomerTerms(req.user)) {
+        return res.status(403).json({ error: 'Only managers and admins can change price lists' });
+      }
+      if (updates.priceList && !(await isStorePriceList(updates.priceList, req.store))) {
+        return res.status(404).json({ error: 'Price list not found' });
+      }
+      updates.priceList = updates.priceList || null;
+    }
+
+    const customer = await Customer.findOne({ _id: req.params.id, store: req.store });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const nameChanged = updates.name !== undefined && Customer.normalizeName(updates.name) !== customer.normalizedName;
+    if (nameChanged) {
+      const existing = await Customer.findOne({ store: req.store, normalizedName: Customer.normalizeName(updates.name) });
+      if (existing) {
+        return res.status(400).json({ error: 'A customer with this name already exists in this store' });
+      }
+    }
+
+    customer.set(updates);
+    await customer.save();
+
+    // Keep the denormalized name on the customer's credits in step
+    if (nameChanged) {
+      await Credit.updateMany({ customerId: customer._id }, { $set: { customerName: customer.name } });
+    }
+
+    res.json(customer);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Delete a customer with no unpaid credit
+const deleteCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ _id: req.params.id, store: req.store });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const unpaidCredits = await Credit.countDocuments({
+      customerId: customer._id,
+      status: { $in: ['pending', 'partially_paid'] }
+    });
+    if (unpaidCredits > 0) {
+      return res.status(400).json({ error: 'Customer still has unpaid credits and cannot be deleted' });
+    }
+
+    await Customer.deleteOne({ _id: customer._id });
+    res.json({ message: 'Customer deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createCustomer,
+  getCustomers,
+  getCustomerById,
+  updateCustomer,
+  deleteCustomer
+};
@@ -0,0 +1,239 @@
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const { runInTransaction } = require('../utils/db');
+const { HttpError } = require('../utils/errors');
+const { SALE_UNITS } = require('../utils/pricing');
+
+const PRICE_LIST_FIELDS = ['name', 'description', 'discountPercent', 'active'];
+
+const isPrice = (value) => value !== undefined && value !== null && value !== '';
+
+// Create a price list for the store
+const createPriceList = async (req, res) => {
+  try {
+    const priceListData = {
+      store: req.store,
+      createdBy: req.user._id,
+      createdByName: req.user.username
+    };
+    PRICE_LIST_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        priceListData[field] = req.body[field];
+      }
+    });
+
+    const priceList = new PriceList(priceListData);
+    await priceList.save();
+
+    res.status(201).json(priceList);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A price list with this name already exists in this store' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get the store's price lists (supports ?active=true|false)
+const getPriceLists = async (req, res) => {
+  try {
+    const query = { ...req.storeFilter };
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      query.active = req.query.active === 'true';
+    }
+
+    const priceLists = await PriceList.find(query).sort({ name: 1 });
+    res.json(priceLists);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get a specific price list
+const getPriceListById = async (req, res) => {
+  try {
+    const priceList = await PriceList.findOne({ _id: req.params.id, ...req.storeFilter });
+    if (!priceList) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+    res.json(priceList);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Update a price list. Sales already made keep the prices they were charged.
+const updatePriceList = async (req, res) => {
+  try {
+    const priceList = await PriceList.findOne({ _id: req.params.id, store: req.store });
+    if (!priceList) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    PRICE_LIST_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        priceList[field] = req.body[field];
+      }
+    });
+    await priceList.save();
+
+    res.json(priceList);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A price list with this name already exists in this store' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Delete a price list along with the product prices on it. Customers on the
+// list go back to retail prices.
+const deletePriceList = async (req, res) => {
+  try {
+    await runInTransaction(async (session) => {
+      const priceList = await PriceList.findOneAndDelete({ _id: req.params.id, store: req.store }, { session });
+      if (!priceList) {
+        throw new HttpError(404, 'Price list not found');
+      }
+      await Product.updateMany(
+        { store: req.store, 'tierPrices.priceList': priceList._id },
+        { $pull: { tierPrices: { priceList: priceList._id } } },
+        { session }
+      );
+      await Customer.updateMany({ store: req.store, priceList: priceList._id }, { $set: { priceList: null } }, { session });
+    });
+
+    res.json({ message: 'Price list deleted successfully' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// Get the products priced on a list, with their retail price alongside
+// (supports ?search=&page=&limit=)
+const getPriceListPrices = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const search = req.query.search || '';
+
+    const priceList = await PriceList.findOne({ _id: req.params.id, ...req.storeFilter });
+    if (!priceList) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    const query = { store: priceList.store, 'tierPrices.priceList': priceList._id };
+    if (search) {
+      query.item = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const totalCount = await Product.countDocuments(query);
+    const totalPages = Math.ceil(totalCount / limit);
+    const products = await Product.find(query)
+      .select('item category cts priceLRD priceUSD tierPrices')
+      .sort({ item: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const prices = products.map(product => {
+      const onList = product.tierPrices.filter(tier => String(tier.priceList) === String(priceList._id));
+      const priceFor = (unit) => {
+        const tier = onList.find(entry => entry.unit === unit);
+        return tier ? { priceLRD: tier.priceLRD, priceUSD: tier.priceUSD } : null;
+      };
+      return {
+        product: product._id,
+        item: product.item,
+        category: product.category,
+        cts: product.cts,
+        retail: { priceLRD: product.priceLRD, priceUSD: product.priceUSD },
+        piece: priceFor('piece'),
+        carton: priceFor('carton')
+      };
+    });
+
+    res.json({
+      priceList,
+      prices,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        totalItems: totalCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Set product prices on a list.
+// Body: { prices: [{ product, unit, priceLRD, priceUSD }] }
+// `unit` is piece (the default) or carton. A price with neither amount
+// takes the product off the list for that unit. All prices are saved or none.
+const setPriceListPrices = async (req, res) => {
+  try {
+    const { prices } = req.body;
+    if (!Array.isArray(prices) || prices.length === 0) {
+      return res.status(400).json({ error: 'At least one price is required' });
+    }
+
+    const updated = await runInTransaction(async (session) => {
+      const priceList = await PriceList.findOne({ _id: req.params.id, store: req.store }).session(session);
+      if (!priceList) {
+        throw new HttpError(404, 'Price list not found');
+      }
+
+      const products = new Map();
+      for (const entry of prices) {
+        const unit = entry.unit || 'piece';
+        if (!SALE_UNITS.includes(unit)) {
+          throw new HttpError(400, 'Unit must be piece or carton');
+        }
+
+        const key = String(entry.product);
+        if (!products.has(key)) {
+          const product = await Product.findOne({ _id: entry.product, store: req.store }).session(session);
+          if (!product) {
+            throw new HttpError(404, `Product ${entry.product} not found in store ${req.store}`);
+          }
+          products.set(key, product);
+        }
+        const product = products.get(key);
+
+        product.tierPrices = product.tierPrices.filter(tier =>
+          !(String(tier.priceList) === String(priceList._id) && tier.unit === unit)
+        );
+        if (isPrice(entry.priceLRD) || isPrice(entry.priceUSD)) {
+          product.tierPrices.push({
+            priceList: priceList._id,
+            unit,
+            priceLRD: isPrice(entry.priceLRD) ? Number(entry.priceLRD) : undefined,
+            priceUSD: isPrice(entry.priceUSD) ? Number(entry.priceUSD) : undefined
+          });
+        }
+      }
+
+      for (const product of products.values()) {
+        await product.save({ session });
+      }
+      return products.size;
+    });
+
+    res.json({ message: `Prices updated for ${updated} products`, updated });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createPriceList,
+  getPriceLists,
+  getPriceListById,
+  updatePriceList,
+  deletePriceList,
+  getPriceListPrices,
+  setPriceListPrices
+};
@@ -1,28 +1,45 @@
 const Product = require('../models/Product');
 const Transaction = require('../models/Transaction');
 const CurrencyRate = require('../models/CurrencyRate');
+const StockMovement = require('../models/StockMovement');
+const { priceLRDFromUSD } = require('../utils/repricing');
+const { runInTransaction } = require('../utils/db');
+const { HttpError } = require('../utils/errors');
+const { roundMoney } = require('../utils/money');
+const { buildStockMovement, recordStockMovements, recordStockChange } = require('../utils/inventory');
+const { findLowStockProducts, buildReorderSuggestions } = require('../utils/reorder');
+
+// Fill in the cost in the other currency when only one was given
+const fillCostCounterpart = (data, rate) => {
+  if (data.costUSD !== undefined && data.costUSD !== '' && data.costLRD === undefined) {
+    data.costLRD = roundMoney(data.costUSD * rate);
+  } else if (data.costLRD !== undefined && data.costLRD !== '' && data.costUSD === undefined) {
+    data.costUSD = roundMoney(data.costLRD / rate);
+  }
+};
 
 const createProduct = async (req, res) => {
   try {
     const productData = {
       ...req.body,
+      store: req.store,
       image: req.file ? `/uploads/${req.file.filename}` : null
     };
 
-    // Ensure store is provided
-    if (!productData.store) {
-      throw new Error('Store is required');
-    }
-
     // Get current exchange rate
     const rateDoc = await CurrencyRate.getRate();
     const exchangeRate = rateDoc.lrdToUsd;
 
-    // Auto-calculate LRD price if USD price is provided
-    if (productData.priceUSD) {
-      productData.priceLRD = productData.priceUSD * exchangeRate;
+    // Auto-calculate LRD price if USD price is provided, unless the product is priced in LRD
+    if (productData.priceUSD && productData.priceCurrency !== 'LRD') {
+      productData.priceCurrency = 'USD';
+      productData.priceLRD = priceLRDFromUSD(productData.priceUSD, exchangeRate);
+    } else if (productData.priceLRD && !productData.priceCurrency) {
+      productData.priceCurrency = 'LRD';
     }
 
+    fillCostCounterpart(productData, exchangeRate);
+
     // Calculate totals manually in case they're not provided
     if (productData.pieces && productData.priceLRD) {
       productData.totalLRD = productData.pieces * productData.priceLRD;
@@ -32,8 +49,19 @@ const createProduct = async (req, res) => {
       productData.totalUSD = productData.pieces * productData.priceUSD;
     }
 
-    const product = new Product(productData);
-    await product.save();
+    // The product and its opening stock entry are saved together
+    const product = await runInTransaction(async (session) => {
+      const newProduct = new Product(productData);
+      await newProduct.save({ session });
+      await recordStockMovements([buildStockMovement(newProduct, Number(newProduct.pieces) || 0, {
+        reason: 'adjustment',
+        referenceType: 'Product',
+        referenceId: newProduct._id,
+        user: req.user,
+        note: 'Opening stock'
+      })], session);
+      return newProduct;
+    });
     res.status(201).json(product);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -42,15 +70,8 @@ const createProduct = async (req, res) => {
 
 const getAllProducts = async (req, res) => {
   try {
-    const { store } = req.query;
-
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
-    }
-
-    // The 'store' in the Product model is the ObjectId of the user/store owner.
-    // We assume the `store` query param is this ID.
-    const products = await Product.find({ store: store }).sort({ createdAt: -1 });
+    // Store comes from the logged in user (see scopeStore middleware)
+    const products = await Product.find(req.storeFilter).sort({ createdAt: -1 });
     
     res.json(products);
   } catch (error) {
@@ -65,25 +86,21 @@ const getAllProducts = async (req, res) => {
 const getProducts = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const store = req.query.store;
     const lowStock = req.query.lowStock === 'true';
+    // Low stock lists default to a longer page, as they used to return up to 100 items
+    const limit = parseInt(req.query.limit) || (lowStock ? 100 : 20);
     const barcode = req.query.barcode;
     const search = req.query.search || '';
     const skip = (page - 1) * limit;
 
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
-    }
-
     // Build query
-    let query = { store };
+    let query = { ...req.storeFilter };
 
     // Add search functionality
     if (search) {
       query = {
         $and: [
-          { store },
+          req.storeFilter,
           {
             $or: [
               { item: { $regex: search, $options: 'i' } },
@@ -95,21 +112,26 @@ const getProducts = async (req, res) => {
           },
         ],
       };
-    } else if (lowStock) {
-      query.pieces = { $lte: 7 };
     } else if (barcode) {
       query.barcode = barcode;
     }
 
-    // Get total count for pagination with store filter
-    const totalCount = await Product.countDocuments(query);
+    let products;
+    let totalCount;
+    if (lowStock && !search) {
+      // Low stock compares each product with its own, its category's or the default reorder level
+      ({ products, totalCount } = await findLowStockProducts(req.storeFilter, { page, limit }));
+    } else {
+      // Get total count for pagination with store filter
+      totalCount = await Product.countDocuments(query);
+
+      // Get paginated products for specific store
+      products = await Product.find(query)
+        .sort({ createdAt: -1 })
+        .skip(barcode ? 0 : skip) // Skip pagination for barcode search
+        .limit(barcode ? 100 : limit); // Use higher limit for barcode search
+    }
     const totalPages = Math.ceil(totalCount / limit);
-
-    // Get paginated products for specific store
-    const products = await Product.find(query)
-      .sort({ createdAt: -1 })
-      .skip(lowStock || barcode ? 0 : skip) // Skip pagination for low stock items or barcode search
-      .limit(lowStock || barcode ? 100 : limit); // Use higher limit for low stock items or barcode search
     
     // Efficiently fetch transactions for all products in the current page
     const productIds = products.map(p => p._id);
@@ -142,14 +164,14 @@ const getProducts = async (req, res) => {
     const productsWithTotals = products.map(product => {
       const salesData = salesDataMap.get(product._id.toString()) || { totalSalesLRD: 0, totalSalesUSD: 0, totalQuantitySold: 0 };
       return {
-        ...product.toObject(),
+        ...(product.toObject ? product.toObject() : product),
         ...salesData
       };
     });
 
-    // For special queries like low stock or barcode, return a simple array
+    // For barcode lookups, return a simple array
     // as the frontend may not expect a paginated structure for these.
-    if (lowStock || barcode) {
+    if (barcode && !lowStock) {
       res.json({ products: productsWithTotals });
     } else {
       // For standard queries, return the full paginated structure
@@ -171,7 +193,7 @@ const getProducts = async (req, res) => {
 
 const getProductById = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findOne({ _id: req.params.id, ...req.storeFilter });
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
@@ -215,118 +237,78 @@ const updateProduct = async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
+
+    // Products cannot be moved to another store through an update
+    delete updates.store;
+
+    // Optional reason for a stock count change, kept on the ledger entry only
+    const { stockNote } = updates;
+    delete updates.stockNote;
     
     // Get current exchange rate
     const rateDoc = await CurrencyRate.getRate();
     const exchangeRate = rateDoc.lrdToUsd;
 
-    // Auto-calculate LRD price if USD price is being updated
-    if (updates.priceUSD !== undefined) {
-      updates.priceLRD = updates.priceUSD * exchangeRate;
-    }
-
-    // Calculate totals if pieces or prices are being updated
-    if ((updates.pieces || updates.priceLRD) && (updates.pieces !== undefined || updates.priceLRD !== undefined)) {
-      const product = await Product.findById(id);
-      if (!product) {
-        return res.status(404).json({ message: 'Product not found' });
-      }
-      
-      const pieces = updates.pieces !== undefined ? updates.pieces : product.pieces;
-      const priceLRD = updates.priceLRD !== undefined ? updates.priceLRD : product.priceLRD;
-      
-      if (pieces && priceLRD) {
-        updates.totalLRD = pieces * priceLRD;
-      }
-    }
-    
-    if ((updates.pieces || updates.priceUSD) && (updates.pieces !== undefined || updates.priceUSD !== undefined)) {
-      const product = await Product.findById(id);
-      if (!product) {
-        return res.status(404).json({ message: 'Product not found' });
+    // Auto-calculate LRD price if USD price is being updated on a USD-priced product
+    if (updates.priceUSD !== undefined && updates.priceCurrency !== 'LRD') {
+      const current = updates.priceCurrency ? null : await Product.findOne({ _id: id, ...req.storeFilter }).select('priceCurrency');
+      if (!current || current.priceCurrency !== 'LRD') {
+        updates.priceLRD = priceLRDFromUSD(updates.priceUSD, exchangeRate);
       }
-      
-      const pieces = updates.pieces !== undefined ? updates.pieces : product.pieces;
-      const priceUSD = updates.priceUSD !== undefined ? updates.priceUSD : product.priceUSD;
-      
-      if (pieces && priceUSD) {
-        updates.totalUSD = pieces * priceUSD;
-      }
-    }
-    
-    const product = await Product.findByIdAndUpdate(
-      id,
-      updates,
-      { new: true, runValidators: true }
-    );
-
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
     }
 
-    res.json(product);
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
-};
+    fillCostCounterpart(updates, exchangeRate);
 
-const updateProductInventory = async (req, res) => {
-  try {
-    const updateData = {
-      ...req.body
-    };
-
-    if (req.file) {
-      updateData.image = `/uploads/${req.file.filename}`;
-    }
-
-    // Calculate totals if pieces or prices are being updated
-    if ((updateData.pieces || updateData.priceLRD) && (updateData.pieces !== undefined || updateData.priceLRD !== undefined)) {
-      const product = await Product.findById(req.params.id);
-      if (!product) {
-        return res.status(404).json({ error: 'Product not found' });
+    // The edit and any stock ledger entry for a changed piece count commit together
+    const product = await runInTransaction(async (session) => {
+      const existing = await Product.findOne({ _id: id, store: req.store }).session(session);
+      if (!existing) {
+        throw new HttpError(404, 'Product not found');
       }
-      
-      const pieces = updateData.pieces !== undefined ? updateData.pieces : product.pieces;
-      const priceLRD = updateData.priceLRD !== undefined ? updateData.priceLRD : product.priceLRD;
-      
-      if (pieces && priceLRD) {
-        updateData.totalLRD = pieces * priceLRD;
+      const piecesBefore = existing.pieces;
+
+      // Calculate totals if pieces or prices are being updated
+      const pieces = updates.pieces !== undefined ? updates.pieces : existing.pieces;
+      if ((updates.pieces || updates.priceLRD) && (updates.pieces !== undefined || updates.priceLRD !== undefined)) {
+        const priceLRD = updates.priceLRD !== undefined ? updates.priceLRD : existing.priceLRD;
+        if (pieces && priceLRD) {
+          updates.totalLRD = pieces * priceLRD;
+        }
       }
-    }
-    
-    if ((updateData.pieces || updateData.priceUSD) && (updateData.pieces !== undefined || updateData.priceUSD !== undefined)) {
-      const product = await Product.findById(req.params.id);
-      if (!product) {
-        return res.status(404).json({ error: 'Product not found' });
+
+      if ((updates.pieces || updates.priceUSD) && (updates.pieces !== undefined || updates.priceUSD !== undefined)) {
+        const priceUSD = updates.priceUSD !== undefined ? updates.priceUSD : existing.priceUSD;
+        if (pieces && priceUSD) {
+          updates.totalUSD = pieces * priceUSD;
+        }
       }
-      
-      const pieces = updateData.pieces !== undefined ? updateData.pieces : product.pieces;
-      const priceUSD = updateData.priceUSD !== undefined ? updateData.priceUSD : product.priceUSD;
-      
-      if (pieces && priceUSD) {
-        updateData.totalUSD = pieces * priceUSD;
+
+      // Saved as a document so the schema's own checks (tier prices, carton size) run
+      existing.set(updates);
+      const updated = await existing.save({ session });
+
+      if (updates.pieces !== undefined) {
+        await recordStockChange({ pieces: piecesBefore }, updated, {
+          reason: 'adjustment',
+          referenceType: 'Product',
+          referenceId: updated._id,
+          user: req.user,
+          note: stockNote
+        }, session);
       }
-    }
 
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
+      return updated;
+    });
 
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
     res.json(product);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ message: error.message });
   }
 };
 
 const deleteProduct = async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findOneAndDelete({ _id: req.params.id, store: req.store });
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
@@ -338,14 +320,8 @@ const deleteProduct = async (req, res) => {
 
 const deleteAllProducts = async (req, res) => {
   try {
-    const { store } = req.query;
-    
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
-    }
-
-    // Delete all products for the specified store
-    const result = await Product.deleteMany({ store });
+    // Delete all products for the store resolved from the session
+    const result = await Product.deleteMany({ store: req.store });
     
     res.status(200).json({ 
       message: 'All products deleted successfully', 
@@ -359,17 +335,11 @@ const deleteAllProducts = async (req, res) => {
 
 const getInventorySummary = async (req, res) => {
   try {
-    const { store } = req.query;
-
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
-    }
-
-    // Get all products for the store
-    const products = await Product.find({ store });
+    // Get all products for the store (or every store for admins using allStores)
+    const products = await Product.find(req.storeFilter);
     
     // Log the query and results for debugging
-    console.log(`Inventory summary for store: ${store}`);
+    console.log(`Inventory summary for store: ${req.allStores ? 'all stores' : req.store}`);
     console.log(`Found ${products.length} products`);
     
     // Calculate inventory totals
@@ -391,15 +361,22 @@ const getInventorySummary = async (req, res) => {
       }
     });
     
-    // Get all sales transactions for the store
+    // Get all sales transactions for the store, leaving out voided ones
     const salesTransactions = await Transaction.find({ 
-      store,
-      type: 'sale'
+      ...req.storeFilter,
+      type: 'sale',
+      status: { $ne: 'voided' }
     }).populate('productsSold.product');
+
+    // Get installments paid against credits
+    const creditPaymentTransactions = await Transaction.find({
+      ...req.storeFilter,
+      type: 'credit_payment'
+    });
     
     // Get all return transactions for the store
     const returnTransactions = await Transaction.find({
-      store,
+      ...req.storeFilter,
       type: 'return'
     }).populate('productsSold.product');
     
@@ -429,6 +406,12 @@ const getInventorySummary = async (req, res) => {
       }
     });
     
+    // Add cash collected on credits (net of change given)
+    creditPaymentTransactions.forEach(transaction => {
+      totalSalesLRD += (transaction.amountReceivedLRD || 0) - (transaction.changeCurrency === 'LRD' ? transaction.change || 0 : 0);
+      totalSalesUSD += (transaction.amountReceivedUSD || 0) - (transaction.changeCurrency === 'USD' ? transaction.change || 0 : 0);
+    });
+    
     // Subtract returns
     returnTransactions.forEach(transaction => {
       // If the transaction has a totalLRD or totalUSD field, use that directly
@@ -467,6 +450,74 @@ const getInventorySummary = async (req, res) => {
   }
 };
 
+// Suggest what to reorder from stock levels, reorder settings and recent sales.
+// Query: days (sales window, default 30), leadTimeDays (7), coverDays (30), page, limit
+const getReorderSuggestions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const days = Math.max(1, parseInt(req.query.days) || 30);
+    const leadTimeDays = Math.max(0, parseInt(req.query.leadTimeDays) || 7);
+    const coverDays = Math.max(1, parseInt(req.query.coverDays) || 30);
+
+    const suggestions = await buildReorderSuggestions(req.storeFilter, { days, leadTimeDays, coverDays });
+    const totalPages = Math.ceil(suggestions.length / limit);
+
+    res.json({
+      suggestions: suggestions.slice((page - 1) * limit, page * limit),
+      parameters: { days, leadTimeDays, coverDays },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        totalItems: suggestions.length
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get the stock movement history of a product, newest first
+const getProductMovements = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const product = await Product.findOne({ _id: req.params.id, ...req.storeFilter }).select('item store pieces');
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const query = { product: product._id };
+    if (req.query.reason) {
+      query.reason = req.query.reason;
+    }
+
+    const totalCount = await StockMovement.countDocuments(query);
+    const totalPages = Math.ceil(totalCount / limit);
+    const movements = await StockMovement.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      product,
+      movements,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        totalItems: totalCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // Bulk update products from Excel upload
 const bulkUpdateProducts = async (req, res) => {
   try {
@@ -489,19 +540,25 @@ const bulkUpdateProducts = async (req, res) => {
 
     for (const item of products) {
       try {
-        // Auto-calculate LRD price if USD price is provided
-        if (item.priceUSD) {
-          item.priceLRD = item.priceUSD * exchangeRate;
+        // Rows always go to the store resolved from the session, whatever the sheet says
+        item.store = req.store;
+
+        // Auto-calculate LRD price if USD price is provided, unless the row is priced in LRD
+        if (item.priceUSD && item.priceCurrency !== 'LRD') {
+          item.priceCurrency = 'USD';
+          item.priceLRD = priceLRDFromUSD(item.priceUSD, exchangeRate);
         }
 
-        // Check if the product exists (by item name and store)
-        const existingProduct = await Product.findOne({ 
-          item: item.item, 
-          store: item.store 
-        });
+        fillCostCounterpart(item, exchangeRate);
+
+        // The product write and its stock ledger entry commit together
+        const outcome = await runInTransaction(async (session) => {
+          // Check if the product exists (by item name and store)
+          const existingProduct = await Product.findOne({ 
+            item: item.item, 
+            store: item.store 
+          }).session(session);
 
-        if (existingProduct) {
-          // Update existing product
           // Calculate totals
           if (item.pieces && item.priceLRD) {
             item.totalLRD = item.pieces * item.priceLRD;
@@ -511,39 +568,45 @@ const bulkUpdateProducts = async (req, res) => {
             item.totalUSD = item.pieces * item.priceUSD;
           }
 
-          const updatedProduct = await Product.findByIdAndUpdate(
-            existingProduct._id,
-            item,
-            { new: true, runValidators: true }
-          );
-
-          results.updated++;
-          results.details.push({
-            item: item.item,
-            status: 'updated',
-            id: updatedProduct._id
-          });
-        } else {
-          // Create new product
-          // Calculate totals
-          if (item.pieces && item.priceLRD) {
-            item.totalLRD = item.pieces * item.priceLRD;
-          }
-          
-          if (item.pieces && item.priceUSD) {
-            item.totalUSD = item.pieces * item.priceUSD;
+          if (existingProduct) {
+            // Update existing product
+            const updatedProduct = await Product.findByIdAndUpdate(
+              existingProduct._id,
+              item,
+              { new: true, runValidators: true, session }
+            );
+
+            if (item.pieces !== undefined) {
+              await recordStockChange(existingProduct, updatedProduct, {
+                reason: 'import',
+                referenceType: 'Product',
+                referenceId: updatedProduct._id,
+                user: req.user
+              }, session);
+            }
+
+            return { status: 'updated', id: updatedProduct._id };
           }
 
+          // Create new product
           const newProduct = new Product(item);
-          await newProduct.save();
-
-          results.created++;
-          results.details.push({
-            item: item.item,
-            status: 'created',
-            id: newProduct._id
-          });
-        }
+          await newProduct.save({ session });
+          await recordStockChange(null, newProduct, {
+            reason: 'import',
+            referenceType: 'Product',
+            referenceId: newProduct._id,
+            user: req.user
+          }, session);
+
+          return { status: 'created', id: newProduct._id };
+        });
+
+        results[outcome.status]++;
+        results.details.push({
+          item: item.item,
+          status: outcome.status,
+          id: outcome.id
+        });
       } catch (error) {
         results.errors++;
         results.details.push({
@@ -566,9 +629,10 @@ module.exports = {
   getAllProducts,
   getProductById,
   updateProduct,
-  updateProductInventory,
   deleteProduct,
   deleteAllProducts,
   getInventorySummary,
+  getProductMovements,
+  getReorderSuggestions,
   bulkUpdateProducts
 };
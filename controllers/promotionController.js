@@ -0,0 +1,192 @@
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const CurrencyRate = require('../models/CurrencyRate');
+const { findActivePromotions, applyPromotions } = require('../utils/promotions');
+const { resolvePriceList } = require('../utils/priceLists');
+const { getPiecesPerUnit, getTierUnitPrices, getPricePerPiece, calculateTotals } = require('../utils/pricing');
+
+const PROMOTION_FIELDS = [
+  'name', 'type', 'products', 'categories', 'currency', 'value', 'buyQuantity', 'getQuantity',
+  'getPercentOff', 'breaks', 'bundleItems', 'bundlePrice', 'startsAt', 'endsAt', 'active', 'priority', 'notes'
+];
+
+// Create a promotion for the store
+const createPromotion = async (req, res) => {
+  try {
+    const promotionData = {
+      store: req.store,
+      createdBy: req.user._id,
+      createdByName: req.user.username
+    };
+    PROMOTION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        promotionData[field] = req.body[field];
+      }
+    });
+
+    const promotion = new Promotion(promotionData);
+    await promotion.save();
+
+    res.status(201).json(promotion);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get promotions (supports ?current=true for those running now, ?type=&page=&limit=)
+const getPromotions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { current, type } = req.query;
+
+    const query = { ...req.storeFilter };
+    if (current === 'true') {
+      const now = new Date();
+      query.active = true;
+      query.startsAt = { $lte: now };
+      query.$or = [{ endsAt: null }, { endsAt: { $gte: now } }];
+    }
+    if (type) {
+      query.type = type;
+    }
+
+    const totalCount = await Promotion.countDocuments(query);
+    const totalPages = Math.ceil(totalCount / limit);
+    const promotions = await Promotion.find(query)
+      .sort({ priority: -1, startsAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      promotions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        totalItems: totalCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get a specific promotion
+const getPromotionById = async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({ _id: req.params.id, ...req.storeFilter });
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+    res.json(promotion);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Update a promotion. Sales already made keep the promotions recorded on them.
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({ _id: req.params.id, store: req.store });
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    PROMOTION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        promotion[field] = req.body[field];
+      }
+    });
+    await promotion.save();
+
+    res.json(promotion);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Delete a promotion
+const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findOneAndDelete({ _id: req.params.id, store: req.store });
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Price a basket with the promotions running now, without selling anything,
+// so the till can show the customer what they will pay.
+// Body: { productsSold: [{ product, quantity, unit }], discountType, discountValue,
+//         priceListId, customerId }
+const previewPromotions = async (req, res) => {
+  try {
+    const { productsSold, discountType, discountValue, priceListId, customerId } = req.body;
+    if (!Array.isArray(productsSold) || productsSold.length === 0) {
+      return res.status(400).json({ error: 'At least one product is required' });
+    }
+
+    // Priced from the same list checkout would use
+    let customer = null;
+    if (customerId) {
+      customer = await Customer.findOne({ _id: customerId, store: req.store });
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+    }
+    const priceList = await resolvePriceList({ priceListId, customer, store: req.store });
+
+    const rate = (await CurrencyRate.getRate()).lrdToUsd;
+    const lines = [];
+    for (const item of productsSold) {
+      const quantity = Number(item.quantity);
+      if (!Number.isFinite(quantity) || quantity <= 0) {
+        return res.status(400).json({ error: `Invalid quantity for product ${item.product}` });
+      }
+      const product = await Product.findOne({ _id: item.product, store: req.store });
+      if (!product) {
+        return res.status(404).json({ error: `Product ${item.product} not found in store ${req.store}` });
+      }
+      const unit = item.unit || 'piece';
+      const piecesPerUnit = getPiecesPerUnit(product, unit);
+      const unitPrice = getTierUnitPrices(product, priceList, unit, rate);
+      lines.push({
+        product: product._id,
+        productName: product.item,
+        category: product.category,
+        quantity: quantity * piecesPerUnit,
+        unit,
+        unitQuantity: quantity,
+        unitPrice,
+        priceAtSale: getPricePerPiece(unitPrice, piecesPerUnit)
+      });
+    }
+
+    const promotions = await findActivePromotions(req.store);
+    const pricedLines = applyPromotions(lines, promotions, rate);
+
+    res.json({
+      lines: pricedLines,
+      totals: calculateTotals(pricedLines, { discountType, discountValue }, rate),
+      priceList: priceList ? { _id: priceList._id, name: priceList.name } : null,
+      currencyRate: rate
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createPromotion,
+  getPromotions,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+  previewPromotions
+};
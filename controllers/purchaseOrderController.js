@@ -0,0 +1,334 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const CurrencyRate = require('../models/CurrencyRate');
+const { runInTransaction } = require('../utils/db');
+const { createRestock } = require('../utils/inventory');
+const { HttpError } = require('../utils/errors');
+
+// Validate requested order lines against the store's products.
+// Each line is { product, quantity, unitCost } with unitCost in the order's currency.
+const buildOrderLines = async (lines, store) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new HttpError(400, 'A purchase order needs at least one line');
+  }
+
+  const orderLines = [];
+  for (const line of lines) {
+    const quantity = Number(line.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new HttpError(400, `Invalid quantity for product ${line.product}`);
+    }
+    const unitCost = Number(line.unitCost);
+    if (line.unitCost === undefined || line.unitCost === null || !Number.isFinite(unitCost) || unitCost < 0) {
+      throw new HttpError(400, `Invalid unit cost for product ${line.product}`);
+    }
+
+    const product = await Product.findOne({ _id: line.product, store }).select('item');
+    if (!product) {
+      throw new HttpError(404, `Product ${line.product} not found in store ${store}`);
+    }
+    if (orderLines.some(existing => existing.product.equals(product._id))) {
+      throw new HttpError(400, `Product ${product.item} appears on the order more than once`);
+    }
+
+    orderLines.push({
+      product: product._id,
+      productName: product.item,
+      quantityOrdered: quantity,
+      unitCost
+    });
+  }
+  return orderLines;
+};
+
+// Add the quantity still to be delivered to each line
+const withOutstanding = (order) => {
+  const data = order.toObject();
+  data.lines = data.lines.map(line => ({
+    ...line,
+    quantityOutstanding: Math.max(0, line.quantityOrdered - (line.quantityReceived || 0))
+  }));
+  return data;
+};
+
+// Create a purchase order (draft unless status 'sent' is passed)
+const createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplierId, currency, lines, expectedDate, notes, status } = req.body;
+
+    const supplier = await Supplier.findOne({ _id: supplierId, store: req.store });
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    if (status !== undefined && !['draft', 'sent'].includes(status)) {
+      return res.status(400).json({ error: 'A new purchase order can only be a draft or sent' });
+    }
+
+    const order = new PurchaseOrder({
+      supplier: supplier._id,
+      supplierName: supplier.name,
+      store: req.store,
+      status: status || 'draft',
+      currency: currency || supplier.defaultCurrency,
+      lines: await buildOrderLines(lines, req.store),
+      expectedDate,
+      notes,
+      createdBy: req.user._id,
+      createdByName: req.user.username,
+      sentAt: status === 'sent' ? new Date() : undefined
+    });
+    await order.save();
+
+    res.status(201).json(withOutstanding(order));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Get purchase orders for a store (supports ?status=&supplierId=&page=&limit=)
+const getPurchaseOrders = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { status, supplierId } = req.query;
+
+    const query = { ...req.storeFilter };
+    if (status) {
+      query.status = status;
+    }
+    if (supplierId) {
+      query.supplier = supplierId;
+    }
+
+    const totalCount = await PurchaseOrder.countDocuments(query);
+    const totalPages = Math.ceil(totalCount / limit);
+    const orders = await PurchaseOrder.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      purchaseOrders: orders.map(withOutstanding),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        totalItems: totalCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get orders that are not closed yet, oldest expected delivery first
+const getOpenPurchaseOrders = async (req, res) => {
+  try {
+    const orders = await PurchaseOrder.find({
+      ...req.storeFilter,
+      status: { $in: PurchaseOrder.OPEN_STATUSES }
+    }).sort({ expectedDate: 1, createdAt: 1 });
+
+    res.json(orders.map(withOutstanding));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get a specific purchase order
+const getPurchaseOrderById = async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, ...req.storeFilter });
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    res.json(withOutstanding(order));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Update a purchase order. Lines and currency can only change while it is a draft.
+const updatePurchaseOrder = async (req, res) => {
+  try {
+    const { lines, currency, expectedDate, notes } = req.body;
+
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, store: req.store });
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (order.status === 'closed') {
+      return res.status(400).json({ error: 'Closed purchase orders cannot be changed' });
+    }
+
+    if (lines !== undefined || currency !== undefined) {
+      if (order.status !== 'draft') {
+        return res.status(400).json({ error: 'Lines and currency can only be changed on a draft order' });
+      }
+      if (lines !== undefined) {
+        order.lines = await buildOrderLines(lines, req.store);
+      }
+      if (currency !== undefined) {
+        order.currency = currency;
+      }
+    }
+    if (expectedDate !== undefined) {
+      order.expectedDate = expectedDate;
+    }
+    if (notes !== undefined) {
+      order.notes = notes;
+    }
+
+    await order.save();
+    res.json(withOutstanding(order));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Mark a draft order as sent to the supplier
+const sendPurchaseOrder = async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOneAndUpdate(
+      { _id: req.params.id, store: req.store, status: 'draft' },
+      { $set: { status: 'sent', sentAt: new Date() } },
+      { new: true }
+    );
+    if (!order) {
+      return res.status(400).json({ error: 'Only draft purchase orders in this store can be sent' });
+    }
+    res.json(withOutstanding(order));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Close an order, e.g. when the supplier will not deliver the rest
+const closePurchaseOrder = async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findOne({ _id: req.params.id, store: req.store });
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    if (order.status === 'closed') {
+      return res.status(400).json({ error: 'Purchase order is already closed' });
+    }
+
+    order.status = 'closed';
+    order.closedAt = new Date();
+    if (req.body.notes) {
+      order.notes = order.notes ? `${order.notes}\n${req.body.notes}` : req.body.notes;
+    }
+    await order.save();
+    res.json(withOutstanding(order));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Receive goods against an order.
+// Body: { lines: [{ product, quantity, unitCost? }], supplierReference }
+// Without lines everything still outstanding is received. The stock comes in
+// through a restock transaction, and the order is closed once every line is in.
+const receivePurchaseOrder = async (req, res) => {
+  try {
+    const { lines, supplierReference } = req.body;
+    const rate = (await CurrencyRate.getRate()).lrdToUsd;
+
+    const result = await runInTransaction(async (session) => {
+      const order = await PurchaseOrder.findOne({ _id: req.params.id, store: req.store }).session(session);
+      if (!order) {
+        throw new HttpError(404, 'Purchase order not found');
+      }
+      if (order.status === 'closed') {
+        throw new HttpError(400, 'Purchase order is already closed');
+      }
+
+      const requested = Array.isArray(lines) && lines.length > 0
+        ? lines
+        : order.lines
+          .filter(line => order.getOutstandingQuantity(line) > 0)
+          .map(line => ({ product: line.product, quantity: order.getOutstandingQuantity(line) }));
+
+      // A product listed more than once is checked on its total
+      const receiving = new Map();
+      const items = requested.map(item => {
+        const line = order.lines.find(orderLine => orderLine.product.toString() === String(item.product));
+        if (!line) {
+          throw new HttpError(400, `Product ${item.product} is not on this purchase order`);
+        }
+        const quantity = Number(item.quantity);
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+          throw new HttpError(400, `Invalid quantity for ${line.productName}`);
+        }
+        const total = (receiving.get(line) || 0) + quantity;
+        if (total > order.getOutstandingQuantity(line)) {
+          throw new HttpError(400, `Only ${order.getOutstandingQuantity(line)} of ${line.productName} are still to be received`);
+        }
+        receiving.set(line, total);
+        return {
+          line,
+          product: line.product,
+          quantity,
+          unitCost: item.unitCost !== undefined ? item.unitCost : line.unitCost
+        };
+      });
+
+      if (items.length === 0) {
+        throw new HttpError(400, 'Nothing left to receive on this purchase order');
+      }
+
+      const restock = await createRestock({
+        items,
+        store: order.store,
+        rate,
+        costCurrency: order.currency,
+        supplierReference,
+        supplierName: order.supplierName,
+        purchaseOrder: order._id,
+        user: req.user
+      }, session);
+
+      items.forEach(item => {
+        item.line.quantityReceived = (item.line.quantityReceived || 0) + item.quantity;
+      });
+      order.receipts.push({
+        transaction: restock._id,
+        supplierReference,
+        lines: items.map(item => ({ product: item.product, quantity: item.quantity, unitCost: Number(item.unitCost) })),
+        receivedBy: req.user._id,
+        receivedByName: req.user.username
+      });
+
+      const fullyReceived = order.lines.every(line => order.getOutstandingQuantity(line) === 0);
+      order.status = fullyReceived ? 'closed' : 'partially_received';
+      if (fullyReceived) {
+        order.closedAt = new Date();
+      }
+      if (!order.sentAt) {
+        order.sentAt = new Date();
+      }
+      await order.save({ session });
+
+      return { purchaseOrder: withOutstanding(order), transaction: restock };
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Purchase order receipt error:', error);
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getOpenPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  closePurchaseOrder,
+  receivePurchaseOrder
+};
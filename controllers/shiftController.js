@@ -0,0 +1,326 @@
+const Shift = require('../models/Shift');
+const Transaction = require('../models/Transaction');
+const { roundMoney } = require('../utils/money');
+const { runInTransaction } = require('../utils/db');
+const { HttpError } = require('../utils/errors');
+
+const CURRENCIES = ['LRD', 'USD'];
+
+// Read a cash amount from the body; missing amounts count as zero
+const parseCash = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+};
+
+// Employees only see their own shifts; managers and admins see the store's
+const shiftScope = (req) => {
+  const query = { ...req.storeFilter };
+  if (req.user.userType === 'employee') {
+    query.cashier = req.user._id;
+  }
+  return query;
+};
+
+// Cash a sale kept in the drawer: what was received less the change given
+const cashKept = (transaction) => {
+  const kept = { LRD: transaction.amountReceivedLRD || 0, USD: transaction.amountReceivedUSD || 0 };
+  if (transaction.change && CURRENCIES.includes(transaction.changeCurrency)) {
+    kept[transaction.changeCurrency] -= transaction.change;
+  }
+  return kept;
+};
+
+// Totals of everything taken in a shift and the cash that should be in the
+// drawer: opening float plus cash received, less change given, refunds and
+// the cash handed back for sales voided during the shift.
+// Sales values are in LRD (the LRD equivalent for USD and split payments).
+// Sales stay in the shift they were rung up in even when voided later, so a
+// closed shift's figures do not change; the void is counted in the shift of
+// whoever voided it (`voidShift`).
+const buildShiftSummary = async (shift, session = null) => {
+  const transactions = await Transaction.find({ shift: shift._id }).session(session);
+  const voids = await Transaction.find({ voidShift: shift._id }).session(session);
+
+  const summary = {
+    sales: { count: 0, items: 0, grossLRD: 0, discountLRD: 0, netLRD: 0 },
+    salesByCurrency: { LRD: 0, USD: 0, BOTH: 0 },
+    creditSales: { count: 0, totalLRD: 0, totalUSD: 0 },
+    returns: { count: 0, items: 0, totalLRD: 0, refundedLRD: 0, refundedUSD: 0 },
+    creditPayments: { count: 0, appliedLRD: 0, appliedUSD: 0 },
+    voided: { count: 0, totalLRD: 0 },
+    cashReceived: { LRD: 0, USD: 0 },
+    changeGiven: { LRD: 0, USD: 0 },
+    refunds: { LRD: 0, USD: 0 },
+    voidRefunds: { LRD: 0, USD: 0 },
+    expectedCash: { LRD: 0, USD: 0 }
+  };
+
+  // Cash in from a sale or credit payment, net of the change handed back
+  const addTender = (transaction) => {
+    summary.cashReceived.LRD += transaction.amountReceivedLRD || 0;
+    summary.cashReceived.USD += transaction.amountReceivedUSD || 0;
+    if (transaction.change && CURRENCIES.includes(transaction.changeCurrency)) {
+      summary.changeGiven[transaction.changeCurrency] += transaction.change;
+    }
+  };
+
+  transactions.forEach(transaction => {
+    const items = transaction.productsSold.reduce((acc, line) => acc + (line.quantity || 0), 0);
+
+    if (transaction.type === 'sale' && transaction.status === 'voided' && !transaction.voidShift) {
+      // Voided before voids were recorded against a shift (newer voids of
+      // shift sales always have one): left out of the shift it was rung up
+      // in, as its cash was handed back from that drawer
+      summary.voided.count += 1;
+      summary.voided.totalLRD += transaction.totalLRD || 0;
+    } else if (transaction.type === 'sale' && transaction.currency === 'CREDIT') {
+      summary.creditSales.count += 1;
+      summary.creditSales.totalLRD += transaction.totalLRD || 0;
+      summary.creditSales.totalUSD += transaction.totalUSD || 0;
+    } else if (transaction.type === 'sale') {
+      summary.sales.count += 1;
+      summary.sales.items += items;
+      summary.sales.netLRD += transaction.totalLRD || 0;
+      summary.sales.discountLRD += transaction.discountLRD || 0;
+      summary.salesByCurrency[transaction.currency] += 1;
+      addTender(transaction);
+    } else if (transaction.type === 'credit_payment') {
+      summary.creditPayments.count += 1;
+      summary.creditPayments.appliedLRD += transaction.totalLRD || 0;
+      summary.creditPayments.appliedUSD += transaction.totalUSD || 0;
+      addTender(transaction);
+    } else if (transaction.type === 'return') {
+      summary.returns.count += 1;
+      summary.returns.items += items;
+      summary.returns.totalLRD += transaction.totalLRD || 0;
+      if (transaction.refundAmount && CURRENCIES.includes(transaction.refundCurrency)) {
+        summary.refunds[transaction.refundCurrency] += transaction.refundAmount;
+      }
+    }
+  });
+
+  voids.forEach(transaction => {
+    summary.voided.count += 1;
+    summary.voided.totalLRD += transaction.totalLRD || 0;
+    if (transaction.currency !== 'CREDIT') {
+      const kept = cashKept(transaction);
+      CURRENCIES.forEach(currency => {
+        summary.voidRefunds[currency] += kept[currency];
+      });
+    }
+  });
+
+  summary.sales.grossLRD = summary.sales.netLRD + summary.sales.discountLRD;
+  summary.returns.refundedLRD = summary.refunds.LRD;
+  summary.returns.refundedUSD = summary.refunds.USD;
+
+  CURRENCIES.forEach(currency => {
+    summary.expectedCash[currency] = (shift.openingFloat[currency] || 0)
+      + summary.cashReceived[currency]
+      - summary.changeGiven[currency]
+      - summary.refunds[currency]
+      - summary.voidRefunds[currency];
+  });
+
+  // Round every money figure once at the end
+  Object.values(summary).forEach(group => {
+    Object.keys(group).forEach(key => {
+      if (key !== 'count' && key !== 'items' && typeof group[key] === 'number') {
+        group[key] = roundMoney(group[key]);
+      }
+    });
+  });
+
+  return summary;
+};
+
+// Open a shift for the logged in user. Body: { openingFloatLRD, openingFloatUSD, notes }
+const openShift = async (req, res) => {
+  try {
+    const floatLRD = parseCash(req.body.openingFloatLRD);
+    const floatUSD = parseCash(req.body.openingFloatUSD);
+    if (floatLRD === null || floatUSD === null) {
+      return res.status(400).json({ error: 'Opening float must be a positive amount' });
+    }
+
+    const existing = await Shift.findOne({ store: req.store, cashier: req.user._id, status: 'open' });
+    if (existing) {
+      return res.status(400).json({ error: 'You already have an open shift', shift: existing });
+    }
+
+    const shift = new Shift({
+      store: req.store,
+      cashier: req.user._id,
+      cashierName: req.user.username,
+      openingFloat: { LRD: floatLRD, USD: floatUSD },
+      openingNotes: req.body.notes
+    });
+    await shift.save();
+
+    res.status(201).json(shift);
+  } catch (error) {
+    // Two opens at once: the partial unique index lets only one through
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'You already have an open shift' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get the logged in user's open shift with its running totals
+const getCurrentShift = async (req, res) => {
+  try {
+    const shift = await Shift.findOne({ store: req.store, cashier: req.user._id, status: 'open' });
+    if (!shift) {
+      return res.status(404).json({ error: 'No open shift' });
+    }
+    res.json({ shift, summary: await buildShiftSummary(shift) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get shifts (supports ?status=&cashier=&page=&limit=)
+const getShifts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { status, cashier } = req.query;
+
+    const query = shiftScope(req);
+    if (status) {
+      query.status = status;
+    }
+    if (cashier && req.user.userType !== 'employee') {
+      query.cashier = cashier;
+    }
+
+    const totalCount = await Shift.countDocuments(query);
+    const totalPages = Math.ceil(totalCount / limit);
+    const shifts = await Shift.find(query)
+      .sort({ openedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      shifts,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        totalItems: totalCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get a specific shift
+const getShiftById = async (req, res) => {
+  try {
+    const shift = await Shift.findOne({ _id: req.params.id, ...shiftScope(req) });
+    if (!shift) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+    res.json(shift);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Close a shift with the cash counted in the drawer.
+// Body: { countedLRD, countedUSD, notes }
+// The cashier closes their own shift; managers and admins can close anyone's.
+// The summary and the close are one transaction, and every sale attached to
+// the shift writes to it (see utils/shifts), so a sale made while the shift
+// closes either makes it into the summary or finds the shift closed.
+const closeShift = async (req, res) => {
+  try {
+    const countedLRD = parseCash(req.body.countedLRD);
+    const countedUSD = parseCash(req.body.countedUSD);
+    if (countedLRD === null || countedUSD === null) {
+      return res.status(400).json({ error: 'Counted cash must be a positive amount' });
+    }
+    const counted = { LRD: countedLRD, USD: countedUSD };
+
+    const { shift, summary } = await runInTransaction(async (session) => {
+      const shift = await Shift.findOne({ _id: req.params.id, ...shiftScope(req) }).session(session);
+      if (!shift) {
+        throw new HttpError(404, 'Shift not found');
+      }
+      if (shift.status !== 'open') {
+        throw new HttpError(400, 'Shift is already closed');
+      }
+
+      const summary = await buildShiftSummary(shift, session);
+
+      shift.status = 'closed';
+      shift.expectedCash = summary.expectedCash;
+      shift.countedCash = counted;
+      shift.variance = {
+        LRD: roundMoney(counted.LRD - summary.expectedCash.LRD),
+        USD: roundMoney(counted.USD - summary.expectedCash.USD)
+      };
+      shift.closedAt = new Date();
+      shift.closedBy = req.user._id;
+      shift.closedByName = req.user.username;
+      shift.closingNotes = req.body.notes;
+      await shift.save({ session });
+
+      return { shift, summary };
+    });
+
+    res.json({ shift, summary });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Z-report for a shift: its totals and the cash reconciliation. For a shift
+// that is still open this is a running (X) report with no counted cash yet.
+const getShiftReport = async (req, res) => {
+  try {
+    const shift = await Shift.findOne({ _id: req.params.id, ...shiftScope(req) });
+    if (!shift) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    const summary = await buildShiftSummary(shift);
+    const closed = shift.status === 'closed';
+
+    res.json({
+      shift: {
+        _id: shift._id,
+        store: shift.store,
+        cashierName: shift.cashierName,
+        status: shift.status,
+        openedAt: shift.openedAt,
+        closedAt: shift.closedAt,
+        closedByName: shift.closedByName
+      },
+      final: closed,
+      ...summary,
+      openingFloat: shift.openingFloat,
+      // The figures fixed at close, so later edits cannot change a closed report
+      expectedCash: closed ? shift.expectedCash : summary.expectedCash,
+      countedCash: closed ? shift.countedCash : null,
+      variance: closed ? shift.variance : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  openShift,
+  getCurrentShift,
+  getShifts,
+  getShiftById,
+  closeShift,
+  getShiftReport
+};
@@ -0,0 +1,403 @@
+const Stocktake = require('../models/Stocktake');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const CurrencyRate = require('../models/CurrencyRate');
+const { runInTransaction } = require('../utils/db');
+const { buildStockMovement, recordStockMovements } = require('../utils/inventory');
+const { getUnitPrices, getUnitCosts } = require('../utils/pricing');
+const { roundMoney } = require('../utils/money');
+const { HttpError } = require('../utils/errors');
+
+// Net stock movements per product since the session started, leaving out the
+// stocktake's own adjustments. `until` maps product ids to the time they were
+// counted; only movements up to then are taken for those products.
+const getMovementsSince = async (productIds, since, session = null, until = new Map()) => {
+  if (productIds.length === 0) {
+    return new Map();
+  }
+  const byProduct = productIds.map(id => {
+    const countedAt = until.get(id.toString());
+    return { product: id, createdAt: countedAt ? { $gte: since, $lte: countedAt } : { $gte: since } };
+  });
+  const rows = await StockMovement.aggregate([
+    { $match: { $or: byProduct, reason: { $ne: 'stocktake' } } },
+    { $group: { _id: '$product', delta: { $sum: '$delta' } } }
+  ]).session(session);
+  return new Map(rows.map(row => [row._id.toString(), row.delta]));
+};
+
+// Work out each counted line's variance: counted minus (expected at start +
+// movements up to when it was counted). Movements after the count are on the
+// shelf and in stock alike, so they do not count. Lines not counted yet have
+// no variance.
+const buildVarianceReport = async (stocktake, session = null) => {
+  const productIds = stocktake.lines.map(line => line.product);
+  const countedAt = new Map(stocktake.lines
+    .filter(line => line.counted && line.countedAt)
+    .map(line => [line.product.toString(), line.countedAt]));
+  // One query at a time: approveStocktake runs this inside a transaction, and
+  // a transaction's session cannot run operations in parallel
+  const movements = await getMovementsSince(productIds, stocktake.startedAt, session, countedAt);
+  const products = await Product.find({ _id: { $in: productIds } }).session(session);
+  const rateDoc = await CurrencyRate.getRate();
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const summary = {
+    lines: stocktake.lines.length,
+    counted: 0,
+    uncounted: 0,
+    withVariance: 0,
+    unitsOver: 0,
+    unitsShort: 0,
+    valueLRD: 0,
+    costLRD: 0
+  };
+
+  const lines = stocktake.lines.map(line => {
+    const id = line.product.toString();
+    const movedSinceStart = movements.get(id) || 0;
+    const expected = (line.expectedAtStart || 0) + movedSinceStart;
+    const product = productMap.get(id);
+
+    if (!line.counted) {
+      summary.uncounted += 1;
+      return { ...line.toObject(), movedSinceStart, expected, variance: null };
+    }
+
+    const variance = line.countedQuantity - expected;
+    summary.counted += 1;
+    if (variance !== 0) {
+      summary.withVariance += 1;
+      if (variance > 0) {
+        summary.unitsOver += variance;
+      } else {
+        summary.unitsShort -= variance;
+      }
+    }
+
+    // Value the difference at the selling price and, where known, at cost
+    let valueLRD = null;
+    let costLRD = null;
+    if (product) {
+      if (typeof product.priceLRD === 'number' || typeof product.priceUSD === 'number') {
+        valueLRD = roundMoney(getUnitPrices(product, rateDoc.lrdToUsd).LRD * variance);
+        summary.valueLRD += valueLRD;
+      }
+      const cost = getUnitCosts(product, rateDoc.lrdToUsd);
+      if (cost) {
+        costLRD = roundMoney(cost.LRD * variance);
+        summary.costLRD += costLRD;
+      }
+    }
+
+    return { ...line.toObject(), movedSinceStart, expected, variance, valueLRD, costLRD };
+  });
+
+  summary.valueLRD = roundMoney(summary.valueLRD);
+  summary.costLRD = roundMoney(summary.costLRD);
+  return { lines, summary };
+};
+
+// Start a count. Body: { compartment?, shelve?, notes? }
+// Every product in scope is listed with its current stock as the expected quantity.
+const createStocktake = async (req, res) => {
+  try {
+    const { compartment, shelve, notes } = req.body;
+
+    const productQuery = { store: req.store };
+    if (compartment) {
+      productQuery.compartment = compartment;
+    }
+    if (shelve) {
+      productQuery.shelve = shelve;
+    }
+
+    // The count starts before the stock levels are read, so no movement
+    // falls between the start and the snapshot
+    const startedAt = new Date();
+    const products = await Product.find(productQuery).select('item barcode pieces').sort({ item: 1 });
+
+    const stocktake = new Stocktake({
+      store: req.store,
+      compartment,
+      shelve,
+      notes,
+      startedAt,
+      startedBy: req.user._id,
+      startedByName: req.user.username,
+      lines: products.map(product => ({
+        product: product._id,
+        productName: product.item,
+        barcode: product.barcode,
+        expectedAtStart: product.pieces || 0
+      }))
+    });
+    await stocktake.save();
+
+    res.status(201).json(stocktake);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get stocktakes for a store (supports ?status=&page=&limit=). Lines are left out.
+const getStocktakes = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = { ...req.storeFilter };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const totalCount = await Stocktake.countDocuments(query);
+    const totalPages = Math.ceil(totalCount / limit);
+    const stocktakes = await Stocktake.find(query)
+      .select('-lines')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      stocktakes,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        totalItems: totalCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get a specific stocktake with its lines
+const getStocktakeById = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOne({ _id: req.params.id, ...req.storeFilter });
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+    res.json(stocktake);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Record counts. Body: { counts: [{ product? | barcode?, quantity?, mode? }] }
+// mode 'set' (default) replaces the line's count; 'add' adds to it, which is
+// what a barcode scan does (quantity defaults to 1). A product in the store
+// but outside the session's scope is added to the session when counted.
+const submitCounts = async (req, res) => {
+  try {
+    const { counts } = req.body;
+    if (!Array.isArray(counts) || counts.length === 0) {
+      return res.status(400).json({ error: 'At least one count is required' });
+    }
+
+    const stocktake = await Stocktake.findOne({ _id: req.params.id, store: req.store }).select('store status startedAt');
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+    if (stocktake.status !== 'open') {
+      return res.status(400).json({ error: 'Counts can only be recorded while the stocktake is open' });
+    }
+
+    const results = [];
+    for (const count of counts) {
+      const mode = count.mode || (count.barcode && count.quantity === undefined ? 'add' : 'set');
+      if (!['set', 'add'].includes(mode)) {
+        results.push({ ...count, status: 'error', error: 'Mode must be set or add' });
+        continue;
+      }
+      const quantity = count.quantity === undefined && mode === 'add' ? 1 : Number(count.quantity);
+      if (!Number.isFinite(quantity) || (mode === 'set' && quantity < 0) || (mode === 'add' && quantity <= 0)) {
+        results.push({ ...count, status: 'error', error: 'Invalid quantity' });
+        continue;
+      }
+
+      const productQuery = count.product ? { _id: count.product, store: stocktake.store } : { barcode: count.barcode, store: stocktake.store };
+      if (!count.product && !count.barcode) {
+        results.push({ ...count, status: 'error', error: 'A product or barcode is required' });
+        continue;
+      }
+      const product = await Product.findOne(productQuery).select('item barcode pieces');
+      if (!product) {
+        results.push({ ...count, status: 'error', error: 'Product not found in this store' });
+        continue;
+      }
+
+      // Bring in products found outside the session's scope, backing out the
+      // movements made since the session started to get their starting level
+      const movements = await getMovementsSince([product._id], stocktake.startedAt);
+      await Stocktake.updateOne(
+        { _id: stocktake._id, status: 'open', 'lines.product': { $ne: product._id } },
+        {
+          $push: {
+            lines: {
+              product: product._id,
+              productName: product.item,
+              barcode: product.barcode,
+              expectedAtStart: (product.pieces || 0) - (movements.get(product._id.toString()) || 0)
+            }
+          }
+        }
+      );
+
+      const update = {
+        $set: {
+          'lines.$.counted': true,
+          'lines.$.countedBy': req.user._id,
+          'lines.$.countedByName': req.user.username,
+          'lines.$.countedAt': new Date()
+        }
+      };
+      if (mode === 'add') {
+        update.$inc = { 'lines.$.countedQuantity': quantity };
+      } else {
+        update.$set['lines.$.countedQuantity'] = quantity;
+      }
+
+      // Positional updates keep scans from several counters from overwriting each other
+      const result = await Stocktake.updateOne(
+        { _id: stocktake._id, status: 'open', 'lines.product': product._id },
+        update
+      );
+      if (result.matchedCount === 0) {
+        return res.status(400).json({ error: 'Counts can only be recorded while the stocktake is open' });
+      }
+      results.push({ product: product._id, productName: product.item, mode, quantity, status: 'counted' });
+    }
+
+    const updated = await Stocktake.findById(stocktake._id);
+    res.json({ results, stocktake: updated });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get the variance of every counted line as things stand
+const getVarianceReport = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOne({ _id: req.params.id, ...req.storeFilter });
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+
+    // Approved sessions report the variance that was posted
+    if (stocktake.status === 'approved') {
+      return res.json({ stocktake: stocktake._id, status: stocktake.status, lines: stocktake.lines });
+    }
+
+    const report = await buildVarianceReport(stocktake);
+    res.json({ stocktake: stocktake._id, status: stocktake.status, ...report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Counting is finished; the session waits for a manager to approve it
+const submitStocktake = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOneAndUpdate(
+      { _id: req.params.id, store: req.store, status: 'open' },
+      { $set: { status: 'submitted', submittedAt: new Date(), submittedBy: req.user._id, submittedByName: req.user.username } },
+      { new: true }
+    );
+    if (!stocktake) {
+      return res.status(400).json({ error: 'Only open stocktakes in this store can be submitted' });
+    }
+    res.json(stocktake);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Post the variances of counted lines to stock. The variance only covers
+// movements up to each count and is applied with $inc, so sales made since
+// the count are kept.
+const approveStocktake = async (req, res) => {
+  try {
+    const stocktake = await runInTransaction(async (session) => {
+      const pending = await Stocktake.findOne({ _id: req.params.id, store: req.store }).session(session);
+      if (!pending) {
+        throw new HttpError(404, 'Stocktake not found');
+      }
+      if (!['open', 'submitted'].includes(pending.status)) {
+        throw new HttpError(400, `This stocktake is already ${pending.status}`);
+      }
+
+      const report = await buildVarianceReport(pending, session);
+      const movements = [];
+      for (const [index, line] of report.lines.entries()) {
+        if (line.variance === null) {
+          continue;
+        }
+        pending.lines[index].variance = line.variance;
+        if (line.variance === 0) {
+          continue;
+        }
+
+        const product = await Product.findOneAndUpdate(
+          { _id: line.product, store: pending.store },
+          { $inc: { pieces: line.variance } },
+          { new: true, session }
+        );
+        if (!product) {
+          continue;
+        }
+        movements.push(buildStockMovement(product, line.variance, {
+          reason: 'stocktake',
+          referenceType: 'Stocktake',
+          referenceId: pending._id,
+          user: req.user
+        }));
+      }
+      await recordStockMovements(movements, session);
+
+      pending.status = 'approved';
+      pending.approvedAt = new Date();
+      pending.approvedBy = req.user._id;
+      pending.approvedByName = req.user.username;
+      await pending.save({ session });
+
+      return { stocktake: pending, summary: report.summary, adjustments: movements.length };
+    });
+
+    res.json(stocktake);
+  } catch (error) {
+    console.error('Stocktake approval error:', error);
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Abandon a stocktake without changing stock
+const cancelStocktake = async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOneAndUpdate(
+      { _id: req.params.id, store: req.store, status: { $in: ['open', 'submitted'] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: req.user._id, cancelledByName: req.user.username } },
+      { new: true }
+    );
+    if (!stocktake) {
+      return res.status(400).json({ error: 'Only open or submitted stocktakes in this store can be cancelled' });
+    }
+    res.json(stocktake);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createStocktake,
+  getStocktakes,
+  getStocktakeById,
+  submitCounts,
+  getVarianceReport,
+  submitStocktake,
+  approveStocktake,
+  cancelStocktake
+};
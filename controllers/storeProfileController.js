@@ -0,0 +1,51 @@
+const StoreProfile = require('../models/StoreProfile');
+
+const PROFILE_FIELDS = ['displayName', 'address', 'phone', 'email', 'taxId', 'receiptCode', 'receiptFooter', 'invoiceTerms'];
+
+// Get the receipt profile of the store in scope. Stores that have not set
+// one up get an empty profile.
+const getStoreProfile = async (req, res) => {
+  try {
+    if (!req.store) {
+      return res.status(400).json({ error: 'Choose a store to get its profile' });
+    }
+    const profile = await StoreProfile.findOne({ store: req.store });
+    res.json(profile || { store: req.store });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Create or update the receipt profile of the store in scope
+const updateStoreProfile = async (req, res) => {
+  try {
+    const updates = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    // Receipts cannot be numbered without the store's receipt code
+    if (updates.receiptCode === '' || updates.receiptCode === null) {
+      return res.status(400).json({ error: 'A store needs a receipt code to number its receipts' });
+    }
+
+    const profile = await StoreProfile.findOneAndUpdate(
+      { store: req.store },
+      { $set: updates },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    res.json(profile);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Another store already uses this receipt code' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  getStoreProfile,
+  updateStoreProfile
+};
@@ -0,0 +1,162 @@
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+const SUPPLIER_FIELDS = ['name', 'contactName', 'phone', 'email', 'address', 'defaultCurrency', 'notes'];
+
+// Create a new supplier
+const createSupplier = async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ error: 'Supplier name is required' });
+    }
+
+    const existing = await Supplier.findOne({ store: req.store, normalizedName: Supplier.normalizeName(name) });
+    if (existing) {
+      return res.status(400).json({ error: 'A supplier with this name already exists in this store' });
+    }
+
+    const supplierData = { store: req.store };
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        supplierData[field] = req.body[field];
+      }
+    });
+
+    const supplier = new Supplier(supplierData);
+    await supplier.save();
+
+    res.status(201).json(supplier);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get suppliers for a store, optionally filtered by a search term
+const getSuppliers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const search = req.query.search || '';
+
+    const query = { ...req.storeFilter };
+    if (search) {
+      const escaped = Supplier.normalizeName(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { normalizedName: { $regex: escaped } },
+        { phone: { $regex: escaped } }
+      ];
+    }
+
+    const totalCount = await Supplier.countDocuments(query);
+    const totalPages = Math.ceil(totalCount / limit);
+    const suppliers = await Supplier.find(query)
+      .sort({ normalizedName: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      suppliers,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        totalItems: totalCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get a supplier with a count of their open purchase orders
+const getSupplierById = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({ _id: req.params.id, ...req.storeFilter });
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const openOrders = await PurchaseOrder.countDocuments({
+      supplier: supplier._id,
+      status: { $in: PurchaseOrder.OPEN_STATUSES }
+    });
+
+    res.json({
+      ...supplier.toObject(),
+      openOrders
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Update a supplier's details
+const updateSupplier = async (req, res) => {
+  try {
+    const updates = {};
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const supplier = await Supplier.findOne({ _id: req.params.id, store: req.store });
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const nameChanged = updates.name !== undefined && Supplier.normalizeName(updates.name) !== supplier.normalizedName;
+    if (nameChanged) {
+      const existing = await Supplier.findOne({ store: req.store, normalizedName: Supplier.normalizeName(updates.name) });
+      if (existing) {
+        return res.status(400).json({ error: 'A supplier with this name already exists in this store' });
+      }
+    }
+
+    supplier.set(updates);
+    await supplier.save();
+
+    // Keep the denormalized name on the supplier's orders in step
+    if (nameChanged) {
+      await PurchaseOrder.updateMany({ supplier: supplier._id }, { $set: { supplierName: supplier.name } });
+    }
+
+    res.json(supplier);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Delete a supplier with no open purchase orders
+const deleteSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({ _id: req.params.id, store: req.store });
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    const openOrders = await PurchaseOrder.countDocuments({
+      supplier: supplier._id,
+      status: { $in: PurchaseOrder.OPEN_STATUSES }
+    });
+    if (openOrders > 0) {
+      return res.status(400).json({ error: 'Supplier still has open purchase orders and cannot be deleted' });
+    }
+
+    await Supplier.deleteOne({ _id: supplier._id });
+    res.json({ message: 'Supplier deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createSupplier,
+  getSuppliers,
+  getSupplierById,
+  updateSupplier,
+  deleteSupplier
+};
@@ -4,6 +4,20 @@ const Product = require('../models/Product');
 const Transaction = require('../models/Transaction');
 const CurrencyRate = require('../models/CurrencyRate');
 const Credit = require('../models/Credit');
+const StoreAccessLog = require('../models/StoreAccessLog');
+const Customer = require('../models/Customer');
+const StockMovement = require('../models/StockMovement');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const CategorySetting = require('../models/CategorySetting');
+const Transfer = require('../models/Transfer');
+const Stocktake = require('../models/Stocktake');
+const Shift = require('../models/Shift');
+const ReceiptCounter = require('../models/ReceiptCounter');
+const StoreProfile = require('../models/StoreProfile');
+const Promotion = require('../models/Promotion');
+const PriceList = require('../models/PriceList');
+const { recordStoreAccess } = require('../middleware/storeScope');
 
 // Map model names to their actual model objects for easier dynamic access
 const modelMap = {
@@ -12,6 +26,19 @@ const modelMap = {
   'Transaction': Transaction,
   'CurrencyRate': CurrencyRate,
   'Credit': Credit,
+  'StoreAccessLog': StoreAccessLog,
+  'Customer': Customer,
+  'StockMovement': StockMovement,
+  'Supplier': Supplier,
+  'PurchaseOrder': PurchaseOrder,
+  'CategorySetting': CategorySetting,
+  'Transfer': Transfer,
+  'Stocktake': Stocktake,
+  'Shift': Shift,
+  'ReceiptCounter': ReceiptCounter,
+  'StoreProfile': StoreProfile,
+  'Promotion': Promotion,
+  'PriceList': PriceList,
 };
 
 const COLLECTIONS_TO_SYNC = [
@@ -20,17 +47,46 @@ const COLLECTIONS_TO_SYNC = [
   { modelName: 'User', collectionName: 'users' },
   { modelName: 'CurrencyRate', collectionName: 'currencyrates' }, // Or 'currencyRates' - check actual model/collection name
   { modelName: 'Credit', collectionName: 'credits' },
+  { modelName: 'StoreAccessLog', collectionName: 'storeaccesslogs' },
+  { modelName: 'Customer', collectionName: 'customers' },
+  { modelName: 'StockMovement', collectionName: 'stockmovements' },
+  { modelName: 'Supplier', collectionName: 'suppliers' },
+  { modelName: 'PurchaseOrder', collectionName: 'purchaseorders' },
+  { modelName: 'CategorySetting', collectionName: 'categorysettings' },
+  { modelName: 'Transfer', collectionName: 'transfers' },
+  { modelName: 'Stocktake', collectionName: 'stocktakes' },
+  { modelName: 'Shift', collectionName: 'shifts' },
+  { modelName: 'ReceiptCounter', collectionName: 'receiptcounters' },
+  { modelName: 'StoreProfile', collectionName: 'storeprofiles' },
+  { modelName: 'Promotion', collectionName: 'promotions' },
+  { modelName: 'PriceList', collectionName: 'pricelists' },
 ];
 
+// Price lists come with the products whose tier prices refer to them
 const PRODUCT_COLLECTION_TO_PULL = [
-  { modelName: 'Product', collectionName: 'products' }
+  { modelName: 'Product', collectionName: 'products' },
+  { modelName: 'StockMovement', collectionName: 'stockmovements' },
+  { modelName: 'PriceList', collectionName: 'pricelists' }
 ];
 
 const TRANSACTION_CREDITS_TO_PULL = [
+  { modelName: 'Customer', collectionName: 'customers' },
   { modelName: 'Transaction', collectionName: 'transactions' },
-  { modelName: 'Credit', collectionName: 'credits' }
+  { modelName: 'Credit', collectionName: 'credits' },
+  { modelName: 'ReceiptCounter', collectionName: 'receiptcounters' }
 ];
 
+// Receipt counters are matched on { store, year } (each database creates its
+// own documents) and merged by keeping the higher sequence, so a database
+// carries on after the last receipt the other side issued.
+const receiptCounterUpsert = (doc) => ({
+  updateOne: {
+    filter: { store: doc.store, year: doc.year },
+    update: { $max: { seq: doc.seq || 0 } },
+    upsert: true,
+  },
+});
+
 // Helper function to send SSE messages
 const sendSSE = (res, eventName, data) => {
   if (res.writableEnded) {
@@ -60,24 +116,14 @@ const sendSSE = (res, eventName, data) => {
 };
 
 const pushToOnline = async (req, res) => {
-  console.log(`[SyncController] ENTERING pushToOnline for user: ${req.query.username}, store: ${req.query.store} - Timestamp: ${new Date().toISOString()}`);
-  const { username, store } = req.query; // Changed from req.body to support SSE GET requests
+  console.log(`[SyncController] ENTERING pushToOnline for user: ${req.user.username}, store: ${req.user.store} - Timestamp: ${new Date().toISOString()}`);
   let sseStarted = false; // Flag to track if SSE stream has begun
   let remoteDb; // Declare remoteDb here to access in finally block
 
-  if (!username || !store) {
-    return res.status(400).json({ error: 'Username and store are required.' });
-  }
-
   try {
-    // 1. Verify admin user
-    const adminUser = await User.findOne({ username, store });
-    if (!adminUser) {
-      return res.status(404).json({ error: 'Admin user not found in the specified store.' });
-    }
-    // if (adminUser.userType !== 'admin') {
-    //   return res.status(403).json({ error: 'User is not authorized to perform this action.' });
-    // }
+    // 1. The admin user is verified by the protect/authorize middleware on the route.
+    // Sync copies every store's data, so log it as an all-stores access.
+    await recordStoreAccess(req, '*');
 
     // 2. Get remote MongoDB URI
     const remoteMongoUri = process.env.REMOTE_MONGODB_URI;
@@ -151,6 +197,9 @@ const pushToOnline = async (req, res) => {
 
           if (localData.length > 0) {
             const operations = localData.map(doc => {
+              if (syncItem.collectionName === 'receiptcounters') {
+                return receiptCounterUpsert(doc);
+              }
               const { _id, ...docToUpdate } = doc; // Exclude _id from document to be $set
               return {
                 updateOne: {
@@ -270,25 +319,14 @@ const pushToOnline = async (req, res) => {
 };
 
 const pullFromOnline = async (req, res) => {
-  console.log(`[SyncController] ENTERING pullFromOnline for user: ${req.query.username}, store: ${req.query.store} - Timestamp: ${new Date().toISOString()}`);
-  const { username, store } = req.query;
+  console.log(`[SyncController] ENTERING pullFromOnline for user: ${req.user.username}, store: ${req.user.store} - Timestamp: ${new Date().toISOString()}`);
   let sseStarted = false;
   let remoteDb;
 
-  if (!username || !store) {
-    return res.status(400).json({ error: 'Username and store are required for pull operation.' });
-  }
-
   try {
-    // 1. Verify user (similar to pushToOnline, adapt as needed)
-    const localUser = await User.findOne({ username, store }); // Check against local user db
-    if (!localUser) {
-      return res.status(404).json({ error: 'User not found in the specified store locally.' });
-    }
-    // Add role/permission checks if necessary, e.g.:
-    // if (localUser.userType !== 'admin') {
-    //   return res.status(403).json({ error: 'User is not authorized to perform this action.' });
-    // }
+    // 1. The admin user is verified by the protect/authorize middleware on the route.
+    // Sync copies every store's data, so log it as an all-stores access.
+    await recordStoreAccess(req, '*');
 
     const remoteMongoUri = process.env.REMOTE_MONGODB_URI;
     if (!remoteMongoUri) {
@@ -356,7 +394,10 @@ const pullFromOnline = async (req, res) => {
             .select('createdAt')
             .lean();
             
-          const query = mostRecentDoc ? { createdAt: { $gt: mostRecentDoc.createdAt } } : {};
+          // Counters change without getting newer, so they are always pulled in full
+          const query = mostRecentDoc && syncItem.collectionName !== 'receiptcounters'
+            ? { createdAt: { $gt: mostRecentDoc.createdAt } }
+            : {};
           
           const documentsToSync = await RemoteModel.find(query).lean(); // Only get newer records
 
@@ -367,13 +408,15 @@ const pullFromOnline = async (req, res) => {
           });
 
           if (documentsToSync.length > 0) {
-            const operations = documentsToSync.map(doc => ({
-              updateOne: {
-                filter: { _id: doc._id }, // Assumes _id is the unique key
-                update: { $set: doc },
-                upsert: true,
-              },
-            }));
+            const operations = documentsToSync.map(doc => (syncItem.collectionName === 'receiptcounters'
+              ? receiptCounterUpsert(doc)
+              : {
+                updateOne: {
+                  filter: { _id: doc._id }, // Assumes _id is the unique key
+                  update: { $set: doc },
+                  upsert: true,
+                },
+              }));
             await LocalModel.bulkWrite(operations, { ordered: false }); // ordered:false to continue on errors
             sendSSE(res, 'collectionProgress', {
               type: 'success',
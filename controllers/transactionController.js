@@ -1,5 +1,21 @@
+const mongoose = require('mongoose');
 const Transaction = require('../models/Transaction');
 const Product = require('../models/Product');
+const CurrencyRate = require('../models/CurrencyRate');
+const { runInTransaction } = require('../utils/db');
+const { decrementStock, createRestock, buildStockMovement, recordStockMovements } = require('../utils/inventory');
+const { HttpError } = require('../utils/errors');
+const { roundMoney } = require('../utils/money');
+const { resolveCreditCustomer, assertWithinCreditLimit } = require('../utils/customers');
+const { resolveApprover } = require('../utils/approval');
+const { findOpenShiftId } = require('../utils/shifts');
+const { nextReceiptNumber } = require('../utils/receipts');
+const { findActivePromotions, applyPromotions } = require('../utils/promotions');
+const { DISCOUNT_CAPS, authorizeDiscount } = require('../utils/discounts');
+const { resolveCheckoutPriceList } = require('../utils/priceLists');
+const { PAPER_COLUMNS, buildReceipt, renderReceiptText, renderReceiptEscPos, renderReceiptHtml, renderReceiptPdf } = require('../utils/receiptRenderer');
+const StoreProfile = require('../models/StoreProfile');
+const { getUnitCosts, calculateTotals, settlePayment, assertClientFigure, assertClientRate } = require('../utils/pricing');
 
 // Transaction controller methods will be added here
 
@@ -10,7 +26,6 @@ const createTransaction = async (req, res) => {
     const { 
       productsSold, 
       currency, 
-      store, 
       amountReceivedLRD,
       amountReceivedUSD,
       change,
@@ -19,150 +34,177 @@ const createTransaction = async (req, res) => {
       totalUSD,
       currencyRate,
       customerName, // Added for credit transactions
+      customerId,
+      dueDate,
+      // Price list to charge from; the customer's own when not given.
+      // Any other list needs a manager's approval.
+      priceListId,
       // New discount fields
       discountType,
       discountValue,
-      discountAmount,
-      subtotal,
-      cashierId,
-      cashierName
+      // Manager credentials for discounts over the cashier's limit or another price list
+      approverUsername,
+      approverPassword
     } = req.body;
 
-    if (!store) {
-      return res.status(400).json({ error: 'Store is required' });
-    }
-
-    // Use the provided currency rate or default to 197 if not provided
-    const EXCHANGE_RATE = currencyRate || 197;
+    // Store and cashier come from the session, not the request body
+    const store = req.store;
+    const cashierId = req.user._id.toString();
+    const cashierName = req.user.username;
 
-    // Enhanced products with names and prices
-    const enhancedProductsSold = [];
-
-    // Validate products and update inventory
-    for (const item of productsSold) {
-      const product = await Product.findOne({ _id: item.product, store });
-      if (!product) {
-        return res.status(404).json({ error: `Product ${item.product} not found in store ${store}` });
-      }
-      if (product.pieces < item.quantity) {
-        return res.status(400).json({ error: `Insufficient quantity for product ${product.item}` });
-      }
-
-      // Update product quantity
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { pieces: -item.quantity } }
-      );
-
-      // Add enhanced product information
-      enhancedProductsSold.push({
-        ...item,
-        productName: product.item,
-        priceAtSale: {
-          USD: product.priceUSD,
-          LRD: product.priceLRD
-        }
-      });
+    if (!['LRD', 'USD', 'BOTH', 'CREDIT'].includes(currency)) {
+      return res.status(400).json({ error: 'Currency must be LRD, USD, BOTH or CREDIT' });
+    }
+    if (currency === 'CREDIT' && !customerName && !customerId) {
+      return res.status(400).json({ error: 'Customer name is required for credit transactions' });
     }
 
-    // Validate payment information based on currency
-    if (currency === 'LRD') {
-      if (typeof amountReceivedLRD !== 'number' || amountReceivedLRD < totalLRD) {
-        return res.status(400).json({ error: 'Amount received in LRD must be greater than or equal to the total' });
-      }
-    } else if (currency === 'USD') {
-      if (typeof amountReceivedUSD !== 'number' || amountReceivedUSD < totalUSD) {
-        return res.status(400).json({ error: 'Amount received in USD must be greater than or equal to the total' });
-      }
-    } else if (currency === 'BOTH') {
-      if (typeof amountReceivedLRD !== 'number' || typeof amountReceivedUSD !== 'number') {
-        return res.status(400).json({ error: 'Both LRD and USD amounts must be provided for split payment' });
+    // Prices, totals and change are worked out here at the server's current
+    // rate; the till's own figures are only checked against them
+    const EXCHANGE_RATE = (await CurrencyRate.getRate()).lrdToUsd;
+    assertClientRate(currencyRate, EXCHANGE_RATE);
+
+    // Stock decrements, the transaction and any credit commit or roll back together.
+    // Any validation error thrown below rolls the stock decrements back.
+    const transaction = await runInTransaction(async (session) => {
+      // The id is allocated up front so the stock ledger can point at the sale
+      const transactionId = new mongoose.Types.ObjectId();
+
+      // Credit sales are linked to a customer record; other sales can name one
+      // to be priced from their price list
+      let customer = null;
+      if (currency === 'CREDIT' || customerId) {
+        customer = await resolveCreditCustomer({ customerId, customerName, store }, session);
       }
-      
-      // Check if combined payment is sufficient using the dynamic exchange rate
-      const totalPaymentValueLRD = amountReceivedLRD + (amountReceivedUSD * EXCHANGE_RATE);
-      
-      if (totalPaymentValueLRD < totalLRD) {
-        return res.status(400).json({ error: 'Combined payment amount is insufficient' });
+      const { priceList, approvedBy: priceListApprovedBy } = await resolveCheckoutPriceList({
+        priceListId, customer, store, user: req.user, credentials: { approverUsername, approverPassword }
+      }, session);
+
+      // Validate products and update inventory
+      const stockLines = await decrementStock(productsSold, store, session, EXCHANGE_RATE, {
+        reason: 'sale',
+        referenceType: 'Transaction',
+        referenceId: transactionId,
+        user: req.user
+      }, priceList);
+
+      // Running promotions are worked out here, never taken from the till
+      const promotions = await findActivePromotions(store, new Date(), session);
+      const enhancedProductsSold = applyPromotions(stockLines, promotions, EXCHANGE_RATE);
+
+      const totals = calculateTotals(enhancedProductsSold, { discountType, discountValue }, EXCHANGE_RATE);
+      assertClientFigure('Total LRD', totalLRD, totals.totalLRD, 'LRD');
+      assertClientFigure('Total USD', totalUSD, totals.totalUSD, 'USD');
+
+      // The cashier's discount must be within their limit or approved by a manager
+      const discountApproval = await authorizeDiscount(req.user, store, totals, { approverUsername, approverPassword });
+
+      // Validate payment information based on currency
+      const payment = settlePayment({ currency, amountReceivedLRD, amountReceivedUSD, changeCurrency }, totals, EXCHANGE_RATE);
+      if (currency !== 'CREDIT') {
+        assertClientFigure('Change', change, payment.change, payment.changeCurrency);
       }
-    } else if (currency === 'CREDIT') {
-      if (!customerName) {
-        return res.status(400).json({ error: 'Customer name is required for credit transactions' });
+
+      // Credit sales are held to the customer's credit limit
+      if (currency === 'CREDIT') {
+        await assertWithinCreditLimit(customer, { LRD: totals.totalLRD, USD: totals.totalUSD }, session);
       }
-      // For CREDIT, no cash is received upfront, so no amount validation here.
-      // Actual credit limit/balance check would go here if implemented.
-    }
 
-    // Create transaction with the appropriate payment details
-    const transactionData = {
-      productsSold: enhancedProductsSold,
-      currency,
-      store,
-      customerName: currency === 'CREDIT' ? customerName : undefined,
-      amountReceivedLRD: currency === 'CREDIT' ? 0 : (currency === 'USD' ? 0 : amountReceivedLRD),
-      amountReceivedUSD: currency === 'CREDIT' ? 0 : (currency === 'LRD' ? 0 : amountReceivedUSD),
-      change: currency === 'CREDIT' ? 0 : change,
-      totalLRD: totalLRD || 0,
-      totalUSD: totalUSD || 0,
-      // Add discount information
-      discountType: discountType || 'none',
-      discountValue: discountValue || 0,
-      discountAmount: discountAmount || 0,
-      subtotal: subtotal || 0
-    };
+      // Subtotal and discount amount are reported in the currency paid
+      // (LRD for split and credit sales)
+      const saleCurrency = currency === 'USD' ? 'USD' : 'LRD';
+
+      // Create transaction with the appropriate payment details
+      const transactionData = {
+        _id: transactionId,
+        productsSold: enhancedProductsSold,
+        currency,
+        store,
+        customerName: customer ? customer.name : undefined,
+        customerId: customer ? customer._id : null,
+        amountReceivedLRD: payment.amountReceivedLRD,
+        amountReceivedUSD: payment.amountReceivedUSD,
+        change: payment.change,
+        totalLRD: totals.totalLRD,
+        totalUSD: totals.totalUSD,
+        priceList: priceList ? priceList._id : null,
+        priceListName: priceList ? priceList.name : undefined,
+        priceListApprovedBy: priceListApprovedBy ? priceListApprovedBy._id : null,
+        priceListApprovedByName: priceListApprovedBy ? priceListApprovedBy.username : undefined,
+        // Add discount information
+        discountType: discountType || 'none',
+        discountValue: discountValue || 0,
+        discountAmount: totals[`discount${saleCurrency}`],
+        discountLRD: totals.discountLRD,
+        discountUSD: totals.discountUSD,
+        promotionDiscountLRD: totals.promotionDiscountLRD,
+        promotionDiscountUSD: totals.promotionDiscountUSD,
+        discountPercent: discountApproval.percent,
+        discountApprovedBy: discountApproval.approvedBy ? discountApproval.approvedBy._id : null,
+        discountApprovedByName: discountApproval.approvedBy ? discountApproval.approvedBy.username : undefined,
+        discountOverride: discountApproval.override,
+        subtotal: totals[`subtotal${saleCurrency}`],
+        currencyRate: EXCHANGE_RATE,
+        cashierId,
+        cashierName,
+        shift: await findOpenShiftId(req.user, store, session),
+        ...(await nextReceiptNumber(store, session))
+      };
+
+      // Only include changeCurrency for non-credit transactions
+      if (currency !== 'CREDIT') {
+        transactionData.changeCurrency = payment.changeCurrency;
+      }
 
-    // Only include changeCurrency for non-credit transactions
-    if (currency !== 'CREDIT') {
-      transactionData.changeCurrency = currency === 'BOTH' ? changeCurrency : currency;
-    }
+      const newTransaction = new Transaction(transactionData);
+      await newTransaction.save({ session });
+
+      if (newTransaction.currency === 'CREDIT') {
+        const creditProductsSold = enhancedProductsSold.map(p => ({
+          product: p.product, // ObjectId of the product
+          productName: p.productName,
+          quantity: p.quantity,
+          priceAtSale: p.priceAtSale
+        }));
+
+        const creditSale = new Credit({
+          customerName: newTransaction.customerName,
+          customerId: newTransaction.customerId,
+          store: newTransaction.store,
+          productsSold: creditProductsSold,
+          totalLRD: newTransaction.totalLRD,
+          totalUSD: newTransaction.totalUSD,
+          status: 'pending',
+          preferredCurrency: newTransaction.store === 'store1' ? 'LRD' : 'USD', // Example default
+          dueDate: dueDate || undefined,
+          transactionId: newTransaction._id
+        });
+        await creditSale.save({ session });
+
+        newTransaction.creditId = creditSale._id;
+        await newTransaction.save({ session });
+      }
 
-    const transaction = new Transaction(transactionData);
-
-    await transaction.save();
-
-    if (transaction.currency === 'CREDIT') {
-      const creditProductsSold = enhancedProductsSold.map(p => ({
-        product: p.product, // ObjectId of the product
-        productName: p.productName,
-        quantity: p.quantity,
-        priceAtSale: p.priceAtSale
-      }));
-
-      const creditSale = new Credit({
-        customerName: transaction.customerName,
-        store: transaction.store,
-        productsSold: creditProductsSold,
-        totalLRD: transaction.totalLRD,
-        totalUSD: transaction.totalUSD,
-        status: 'pending',
-        preferredCurrency: transaction.store === 'store1' ? 'LRD' : 'USD', // Example default
-        transactionId: transaction._id
-      });
-      await creditSale.save();
+      return newTransaction;
+    });
 
-      const updatedTransaction = await Transaction.findByIdAndUpdate(
-        transaction._id,
-        { $set: { creditId: creditSale._id } },
-        { new: true }
-      );
-      res.status(201).json(updatedTransaction || transaction);
-    } else {
-      res.status(201).json(transaction);
-    }
+    res.status(201).json(transaction);
   } catch (error) {
     console.error('Transaction error:', error);
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
   }
 };
 
+// Latest transactions; ?receipt= finds receipts whose number contains the text
 const getTransactions = async (req, res) => {
   try {
-    const { store } = req.query;
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
+    const query = { ...req.storeFilter };
+    if (req.query.receipt) {
+      const escaped = String(req.query.receipt).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.receiptNumber = { $regex: escaped, $options: 'i' };
     }
 
-    const transactions = await Transaction.find({ store })
+    const transactions = await Transaction.find(query)
       .sort({ date: -1 })
       .limit(50);
     res.json(transactions);
@@ -171,20 +213,83 @@ const getTransactions = async (req, res) => {
   }
 };
 
+// Get a transaction by its receipt number
+const getTransactionByReceiptNumber = async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({
+      receiptNumber: req.params.receiptNumber.trim().toUpperCase(),
+      ...req.storeFilter
+    });
+    if (!transaction) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    res.json(transaction);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 const getTransactionById = async (req, res) => {
   try {
     const { id } = req.params;
-    const { store } = req.query;
 
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
+    const transaction = await Transaction.findOne({ _id: id, ...req.storeFilter });
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    res.json(transaction);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Printable receipt, or invoice for credit sales.
+// ?format=html (default) | text | escpos | pdf, and ?paper=58|80 for text and escpos
+const getTransactionReceipt = async (req, res) => {
+  try {
+    const format = req.query.format || 'html';
+    if (!['html', 'text', 'escpos', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be html, text, escpos or pdf' });
+    }
+    const paper = parseInt(req.query.paper) || 80;
+    if (!PAPER_COLUMNS[paper]) {
+      return res.status(400).json({ error: 'Paper width must be 58 or 80' });
     }
 
-    const transaction = await Transaction.findOne({ _id: id, store });
+    const transaction = await Transaction.findOne({ _id: req.params.id, ...req.storeFilter });
     if (!transaction) {
       return res.status(404).json({ error: 'Transaction not found' });
     }
-    res.json(transaction);
+
+    const [profile, credit, original] = await Promise.all([
+      StoreProfile.findOne({ store: transaction.store }),
+      transaction.creditId && transaction.type !== 'return' ? Credit.findById(transaction.creditId) : null,
+      transaction.originalTransaction ? Transaction.findById(transaction.originalTransaction).select('receiptNumber') : null
+    ]);
+    const receipt = buildReceipt(transaction, {
+      profile,
+      credit,
+      originalReceiptNumber: original && original.receiptNumber
+    });
+    const filename = `${receipt.receiptNumber}`;
+
+    if (format === 'pdf') {
+      const pdf = await renderReceiptPdf(receipt);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+      return res.send(pdf);
+    }
+    if (format === 'escpos') {
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.bin"`);
+      return res.send(renderReceiptEscPos(receipt, { paper }));
+    }
+    if (format === 'text') {
+      res.type('text/plain');
+      return res.send(renderReceiptText(receipt, { paper }));
+    }
+    res.type('html');
+    res.send(renderReceiptHtml(receipt));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -192,11 +297,7 @@ const getTransactionById = async (req, res) => {
 
 const getTransactionsByDate = async (req, res) => {
   try {
-    const { date, store } = req.query;
-    
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
-    }
+    const { date } = req.query;
 
     const startDate = new Date(date);
     startDate.setHours(0, 0, 0, 0);
@@ -205,7 +306,7 @@ const getTransactionsByDate = async (req, res) => {
     endDate.setHours(23, 59, 59, 999);
 
     const transactions = await Transaction.find({
-      store,
+      ...req.storeFilter,
       date: {
         $gte: startDate,
         $lte: endDate
@@ -220,10 +321,10 @@ const getTransactionsByDate = async (req, res) => {
 
 const getTransactionsByProduct = async (req, res) => {
   try {
-    const { productId, store } = req.params;
+    const { productId } = req.params;
     const transactions = await Transaction.find({
       'productsSold.product': productId,
-      store,
+      ...req.storeFilter,
       type: 'sale'
     }).populate('productsSold.product');
 
@@ -249,11 +350,7 @@ const getTransactionsByProduct = async (req, res) => {
 
 const getTransactionsByDateRange = async (req, res) => {
   try {
-    const { startDate, endDate, store } = req.query;
-    
-    if (!store) {
-      return res.status(400).json({ error: 'Store parameter is required' });
-    }
+    const { startDate, endDate } = req.query;
 
     const start = new Date(startDate);
     start.setHours(0, 0, 0, 0);
@@ -262,7 +359,7 @@ const getTransactionsByDateRange = async (req, res) => {
     end.setHours(23, 59, 59, 999);
 
     const transactions = await Transaction.find({
-      store,
+      ...req.storeFilter,
       date: {
         $gte: start,
         $lte: end
@@ -273,8 +370,20 @@ const getTransactionsByDateRange = async (req, res) => {
     let totalLRD = 0;
     let totalUSD = 0;
     let totalItems = 0;
+    // Goods received are reported separately from sales
+    const restocks = { count: 0, items: 0, totalCostLRD: 0, totalCostUSD: 0 };
 
     transactions.forEach(transaction => {
+      if (transaction.type === 'restock') {
+        restocks.count += 1;
+        restocks.totalCostLRD += transaction.totalLRD || 0;
+        restocks.totalCostUSD += transaction.totalUSD || 0;
+        transaction.productsSold.forEach(product => {
+          restocks.items += product.quantity;
+        });
+        return;
+      }
+
       if (transaction.currency === 'LRD') {
         totalLRD += transaction.totalLRD || 0;
       } else {
@@ -291,7 +400,8 @@ const getTransactionsByDateRange = async (req, res) => {
         totalLRD,
         totalUSD,
         totalItems,
-        transactionCount: transactions.length
+        transactionCount: transactions.length - restocks.count,
+        restocks
       }
     });
   } catch (error) {
@@ -299,13 +409,83 @@ const getTransactionsByDateRange = async (req, res) => {
   }
 };
 
+// Revenue and cost of a sold or returned line in the currency it was paid in
+// (both for split payments, nothing for unpaid credit sales). Revenue is gross,
+// before the transaction discount. Lines sold before costs were tracked have
+// no costAtSale and count towards itemsWithoutCost instead.
+const getLineMargin = (transaction, line) => {
+  const quantity = line.quantity || 0;
+  const cost = line.costAtSale && typeof line.costAtSale.LRD === 'number' ? line.costAtSale : null;
+  // Damaged returns are written off, so their cost is not given back
+  const costReturned = !line.damaged;
+  const inLRD = transaction.currency === 'LRD' || transaction.currency === 'BOTH';
+  const inUSD = transaction.currency === 'USD' || transaction.currency === 'BOTH';
+
+  return {
+    revenueLRD: inLRD ? (line.priceAtSale.LRD || 0) * quantity : 0,
+    revenueUSD: inUSD ? (line.priceAtSale.USD || 0) * quantity : 0,
+    costLRD: inLRD && cost && costReturned ? cost.LRD * quantity : 0,
+    costUSD: inUSD && cost && costReturned ? cost.USD * quantity : 0,
+    hasCost: Boolean(cost) || line.damaged === true
+  };
+};
+
+// Cost of all lines of a transaction (see getLineMargin)
+const getTransactionCost = (transaction) => transaction.productsSold.reduce((acc, line) => {
+  const margin = getLineMargin(transaction, line);
+  acc.LRD += margin.costLRD;
+  acc.USD += margin.costUSD;
+  if (!margin.hasCost) {
+    acc.itemsWithoutCost += line.quantity || 0;
+  }
+  return acc;
+}, { LRD: 0, USD: 0, itemsWithoutCost: 0 });
+
+// Running totals of a daily or store row of the sales report
+const emptyTotals = () => ({
+  totalLRD: 0,
+  totalUSD: 0,
+  transactions: 0,
+  returns: 0,
+  items: 0,
+  restocks: 0,
+  restockedItems: 0,
+  restockCostLRD: 0,
+  restockCostUSD: 0,
+  costLRD: 0,
+  costUSD: 0,
+  profitLRD: 0,
+  profitUSD: 0
+});
+
+// Running totals of a product or category row of the sales report
+const emptyLineTotals = () => ({
+  quantitySold: 0,
+  quantityReturned: 0,
+  totalLRD: 0,
+  totalUSD: 0,
+  costLRD: 0,
+  costUSD: 0,
+  profitLRD: 0,
+  profitUSD: 0
+});
+
+// Round the cost and profit figures of a totals row and add margin percentages
+// (profit as a share of the revenue that profit was made on)
+const finishMargins = (totals) => {
+  ['costLRD', 'costUSD', 'profitLRD', 'profitUSD'].forEach(field => {
+    totals[field] = roundMoney(totals[field]);
+  });
+  const revenueLRD = totals.profitLRD + totals.costLRD;
+  const revenueUSD = totals.profitUSD + totals.costUSD;
+  totals.marginPercentLRD = revenueLRD > 0 ? roundMoney(totals.profitLRD / revenueLRD * 100) : null;
+  totals.marginPercentUSD = revenueUSD > 0 ? roundMoney(totals.profitUSD / revenueUSD * 100) : null;
+  return totals;
+};
+
 const getSalesReport = async (req, res) => {
   try {
-    const { startDate, endDate, store, allStores, cashierId } = req.query;
-    
-    if (!allStores && !store) {
-      return res.status(400).json({ error: 'Either store parameter or allStores flag is required' });
-    }
+    const { startDate, endDate, cashierId } = req.query;
 
     const start = new Date(startDate);
     start.setHours(0, 0, 0, 0);
@@ -314,17 +494,17 @@ const getSalesReport = async (req, res) => {
     end.setHours(23, 59, 59, 999);
 
     // Build query based on whether we want all stores or a specific store
+    // (allStores is only granted to admins by the scopeStore middleware)
+    // Voided sales are left out entirely
     const baseQuery = {
+      ...req.storeFilter,
+      status: { $ne: 'voided' },
       date: {
         $gte: start,
         $lte: end
       }
     };
 
-    if (!allStores) {
-      baseQuery.store = store;
-    }
-
     if (cashierId) {
       baseQuery.cashierId = cashierId;
     }
@@ -337,16 +517,25 @@ const getSalesReport = async (req, res) => {
     const returnsQuery = { ...baseQuery, type: 'return' };
     const returnTransactions = await Transaction.find(returnsQuery).sort({ date: -1 });
 
-    // Get recent transactions with payment details (both sales and returns)
-    const recentTransactionsQuery = { ...baseQuery, type: { $in: ['sale', 'return'] } };
+    // Get installments paid against credits
+    const creditPaymentsQuery = { ...baseQuery, type: 'credit_payment' };
+    const creditPaymentTransactions = await Transaction.find(creditPaymentsQuery).sort({ date: -1 });
+
+    // Get goods received
+    const restocksQuery = { ...baseQuery, type: 'restock' };
+    const restockTransactions = await Transaction.find(restocksQuery).sort({ date: -1 });
+
+    // Get recent transactions with payment details (sales, returns, credit payments and restocks)
+    const recentTransactionsQuery = { ...baseQuery, type: { $in: ['sale', 'return', 'credit_payment', 'restock'] } };
     const recentTransactions = await Transaction.find(recentTransactionsQuery)
       .sort({ date: -1 })
       .limit(50)
-      .select('_id date store currency totalLRD totalUSD amountReceivedLRD amountReceivedUSD change productsSold type');
+      .select('_id date store currency totalLRD totalUSD amountReceivedLRD amountReceivedUSD change productsSold type supplierReference');
 
     // Process transactions for report
     let dailyTotals = {};
     let productTotals = {};
+    let categoryTotals = {};
     let storeTotals = {};
     let overallTotals = { 
       totalLRD: 0, 
@@ -357,7 +546,34 @@ const getSalesReport = async (req, res) => {
       totalAmountReceivedLRD: 0,
       totalAmountReceivedUSD: 0,
       totalChangeLRD: 0,
-      totalChangeUSD: 0
+      totalChangeUSD: 0,
+      creditPayments: {
+        count: 0,
+        totalLRD: 0,
+        totalUSD: 0
+      },
+      restocks: {
+        count: 0,
+        items: 0,
+        totalCostLRD: 0,
+        totalCostUSD: 0
+      },
+      // Cost of goods sold and gross profit on sales less returns. Credit
+      // sales are only counted as revenue when paid, so they are left out.
+      costLRD: 0,
+      costUSD: 0,
+      profitLRD: 0,
+      profitUSD: 0,
+      itemsWithoutCost: 0
+    };
+
+    // Category rows are keyed by the category captured on each sold line
+    const getCategoryTotals = (category) => {
+      const key = category || 'Uncategorized';
+      if (!categoryTotals[key]) {
+        categoryTotals[key] = { category: key, ...emptyLineTotals() };
+      }
+      return categoryTotals[key];
     };
 
     // Process sales transactions
@@ -365,14 +581,7 @@ const getSalesReport = async (req, res) => {
       // Process daily totals
       const dateKey = transaction.date.toISOString().split('T')[0];
       if (!dailyTotals[dateKey]) {
-        dailyTotals[dateKey] = {
-          date: dateKey,
-          totalLRD: 0,
-          totalUSD: 0,
-          transactions: 0,
-          returns: 0,
-          items: 0
-        };
+        dailyTotals[dateKey] = { date: dateKey, ...emptyTotals() };
       }
 
       // Calculate actual sale values based on transaction currency
@@ -382,9 +591,9 @@ const getSalesReport = async (req, res) => {
       const subtotalUSDFromProducts = transaction.productsSold.reduce((acc, p) => acc + ((p.priceAtSale.USD || 0) * p.quantity), 0);
 
       if (transaction.currency === 'LRD') {
-        actualSaleLRD = subtotalLRDFromProducts - (transaction.discountAmount && transaction.discountAmount.LRD || 0);
+        actualSaleLRD = subtotalLRDFromProducts - (transaction.discountLRD || 0);
       } else if (transaction.currency === 'USD') {
-        actualSaleUSD = subtotalUSDFromProducts - (transaction.discountAmount && transaction.discountAmount.USD || 0);
+        actualSaleUSD = subtotalUSDFromProducts - (transaction.discountUSD || 0);
       } else if (transaction.currency === 'BOTH') {
         actualSaleLRD = transaction.totalLRD || 0;
         actualSaleUSD = transaction.totalUSD || 0;
@@ -415,14 +624,7 @@ const getSalesReport = async (req, res) => {
 
       // Process store totals
       if (!storeTotals[transaction.store]) {
-        storeTotals[transaction.store] = {
-          store: transaction.store,
-          totalLRD: 0,
-          totalUSD: 0,
-          transactions: 0,
-          returns: 0,
-          items: 0
-        };
+        storeTotals[transaction.store] = { store: transaction.store, ...emptyTotals() };
       }
 
       // Update store totals (using already calculated actualSaleLRD and actualSaleUSD)
@@ -430,6 +632,16 @@ const getSalesReport = async (req, res) => {
       storeTotals[transaction.store].totalUSD += actualSaleUSD;
       storeTotals[transaction.store].transactions += 1;
 
+      // Gross profit is the net sale less the cost of the goods sold
+      const saleCost = getTransactionCost(transaction);
+      [dailyTotals[dateKey], storeTotals[transaction.store], overallTotals].forEach(totals => {
+        totals.costLRD += saleCost.LRD;
+        totals.costUSD += saleCost.USD;
+        totals.profitLRD += actualSaleLRD - saleCost.LRD;
+        totals.profitUSD += actualSaleUSD - saleCost.USD;
+      });
+      overallTotals.itemsWithoutCost += saleCost.itemsWithoutCost;
+
       // Process product totals and item counts
       transaction.productsSold.forEach(product => {
         const quantity = product.quantity || 0;
@@ -439,14 +651,7 @@ const getSalesReport = async (req, res) => {
 
         const productKey = `${product.productName}_${transaction.store}`;
         if (!productTotals[productKey]) {
-          productTotals[productKey] = {
-            name: product.productName,
-            store: transaction.store,
-            quantitySold: 0,
-            quantityReturned: 0,
-            totalLRD: 0,
-            totalUSD: 0
-          };
+          productTotals[productKey] = { name: product.productName, store: transaction.store, ...emptyLineTotals() };
         }
 
         productTotals[productKey].quantitySold += quantity;
@@ -464,6 +669,18 @@ const getSalesReport = async (req, res) => {
         }
         productTotals[productKey].totalLRD += productSaleLRDValue;
         productTotals[productKey].totalUSD += productSaleUSDValue;
+
+        const margin = getLineMargin(transaction, product);
+        const categoryRow = getCategoryTotals(product.category);
+        categoryRow.quantitySold += quantity;
+        categoryRow.totalLRD += productSaleLRDValue;
+        categoryRow.totalUSD += productSaleUSDValue;
+        [productTotals[productKey], categoryRow].forEach(totals => {
+          totals.costLRD += margin.costLRD;
+          totals.costUSD += margin.costUSD;
+          totals.profitLRD += margin.revenueLRD - margin.costLRD;
+          totals.profitUSD += margin.revenueUSD - margin.costUSD;
+        });
       });
     });
 
@@ -472,14 +689,7 @@ const getSalesReport = async (req, res) => {
       // Process daily totals
       const dateKey = transaction.date.toISOString().split('T')[0];
       if (!dailyTotals[dateKey]) {
-        dailyTotals[dateKey] = {
-          date: dateKey,
-          totalLRD: 0,
-          totalUSD: 0,
-          transactions: 0,
-          returns: 0,
-          items: 0
-        };
+        dailyTotals[dateKey] = { date: dateKey, ...emptyTotals() };
       }
 
       // Calculate actual return values based on transaction currency
@@ -489,12 +699,19 @@ const getSalesReport = async (req, res) => {
       const subtotalUSDFromReturnProducts = transaction.productsSold.reduce((acc, p) => acc + ((p.priceAtSale.USD || 0) * p.quantity), 0);
 
       if (transaction.currency === 'LRD') {
-        actualReturnLRD = subtotalLRDFromReturnProducts - (transaction.discountAmount && transaction.discountAmount.LRD || 0);
+        actualReturnLRD = subtotalLRDFromReturnProducts - (transaction.discountLRD || 0);
       } else if (transaction.currency === 'USD') {
-        actualReturnUSD = subtotalUSDFromReturnProducts - (transaction.discountAmount && transaction.discountAmount.USD || 0);
+        actualReturnUSD = subtotalUSDFromReturnProducts - (transaction.discountUSD || 0);
       } else if (transaction.currency === 'BOTH') {
         actualReturnLRD = transaction.totalLRD || 0;
         actualReturnUSD = transaction.totalUSD || 0;
+      } else if (transaction.currency === 'CREDIT' && transaction.refundAmount) {
+        // Only the part of a credit already paid for is handed back
+        if (transaction.refundCurrency === 'USD') {
+          actualReturnUSD = transaction.refundAmount;
+        } else {
+          actualReturnLRD = transaction.refundAmount;
+        }
       }
 
       // Update daily totals for returns
@@ -507,14 +724,7 @@ const getSalesReport = async (req, res) => {
 
       // Process store totals
       if (!storeTotals[transaction.store]) {
-        storeTotals[transaction.store] = {
-          store: transaction.store,
-          totalLRD: 0,
-          totalUSD: 0,
-          transactions: 0,
-          returns: 0,
-          items: 0
-        };
+        storeTotals[transaction.store] = { store: transaction.store, ...emptyTotals() };
       }
 
       // Update store totals for returns (using already calculated actualReturnLRD and actualReturnUSD)
@@ -522,6 +732,15 @@ const getSalesReport = async (req, res) => {
       storeTotals[transaction.store].totalUSD -= actualReturnUSD;
       storeTotals[transaction.store].returns += 1;
 
+      // Returned goods give back both the revenue and their cost
+      const returnCost = getTransactionCost(transaction);
+      [dailyTotals[dateKey], storeTotals[transaction.store], overallTotals].forEach(totals => {
+        totals.costLRD -= returnCost.LRD;
+        totals.costUSD -= returnCost.USD;
+        totals.profitLRD -= actualReturnLRD - returnCost.LRD;
+        totals.profitUSD -= actualReturnUSD - returnCost.USD;
+      });
+
       // Process product totals and item counts for returns
       transaction.productsSold.forEach(product => {
         const quantity = product.quantity || 0;
@@ -531,14 +750,7 @@ const getSalesReport = async (req, res) => {
 
         const productKey = `${product.productName}_${transaction.store}`;
         if (!productTotals[productKey]) {
-          productTotals[productKey] = {
-            name: product.productName,
-            store: transaction.store,
-            quantitySold: 0,
-            quantityReturned: 0,
-            totalLRD: 0,
-            totalUSD: 0
-          };
+          productTotals[productKey] = { name: product.productName, store: transaction.store, ...emptyLineTotals() };
         }
 
         productTotals[productKey].quantityReturned += quantity;
@@ -556,9 +768,74 @@ const getSalesReport = async (req, res) => {
         }
         productTotals[productKey].totalLRD -= productReturnLRDValue;
         productTotals[productKey].totalUSD -= productReturnUSDValue;
+
+        const margin = getLineMargin(transaction, product);
+        const categoryRow = getCategoryTotals(product.category);
+        categoryRow.quantityReturned += quantity;
+        categoryRow.totalLRD -= productReturnLRDValue;
+        categoryRow.totalUSD -= productReturnUSDValue;
+        [productTotals[productKey], categoryRow].forEach(totals => {
+          totals.costLRD -= margin.costLRD;
+          totals.costUSD -= margin.costUSD;
+          totals.profitLRD -= margin.revenueLRD - margin.costLRD;
+          totals.profitUSD -= margin.revenueUSD - margin.costUSD;
+        });
       });
     });
 
+    // Process credit payments: the goods were counted when the credit sale was
+    // made, so only the cash collected (net of change) is added to revenue
+    creditPaymentTransactions.forEach(transaction => {
+      const dateKey = transaction.date.toISOString().split('T')[0];
+      if (!dailyTotals[dateKey]) {
+        dailyTotals[dateKey] = { date: dateKey, ...emptyTotals() };
+      }
+      if (!storeTotals[transaction.store]) {
+        storeTotals[transaction.store] = { store: transaction.store, ...emptyTotals() };
+      }
+
+      const paidLRD = (transaction.amountReceivedLRD || 0) - (transaction.changeCurrency === 'LRD' ? transaction.change || 0 : 0);
+      const paidUSD = (transaction.amountReceivedUSD || 0) - (transaction.changeCurrency === 'USD' ? transaction.change || 0 : 0);
+
+      dailyTotals[dateKey].totalLRD += paidLRD;
+      dailyTotals[dateKey].totalUSD += paidUSD;
+      storeTotals[transaction.store].totalLRD += paidLRD;
+      storeTotals[transaction.store].totalUSD += paidUSD;
+      overallTotals.totalLRD += paidLRD;
+      overallTotals.totalUSD += paidUSD;
+      overallTotals.totalAmountReceivedLRD += transaction.amountReceivedLRD || 0;
+      overallTotals.totalAmountReceivedUSD += transaction.amountReceivedUSD || 0;
+      overallTotals.creditPayments.count += 1;
+      overallTotals.creditPayments.totalLRD += paidLRD;
+      overallTotals.creditPayments.totalUSD += paidUSD;
+    });
+
+    // Process restocks: goods received at cost, kept apart from sales revenue
+    restockTransactions.forEach(transaction => {
+      const dateKey = transaction.date.toISOString().split('T')[0];
+      if (!dailyTotals[dateKey]) {
+        dailyTotals[dateKey] = { date: dateKey, ...emptyTotals() };
+      }
+      if (!storeTotals[transaction.store]) {
+        storeTotals[transaction.store] = { store: transaction.store, ...emptyTotals() };
+      }
+
+      const items = transaction.productsSold.reduce((acc, p) => acc + (p.quantity || 0), 0);
+      const costLRD = transaction.totalLRD || 0;
+      const costUSD = transaction.totalUSD || 0;
+
+      [dailyTotals[dateKey], storeTotals[transaction.store]].forEach(totals => {
+        totals.restocks += 1;
+        totals.restockedItems += items;
+        totals.restockCostLRD += costLRD;
+        totals.restockCostUSD += costUSD;
+      });
+      overallTotals.restocks.count += 1;
+      overallTotals.restocks.items += items;
+      overallTotals.restocks.totalCostLRD += costLRD;
+      overallTotals.restocks.totalCostUSD += costUSD;
+    });
+
     // Ensure no negative values in the totals
     Object.keys(dailyTotals).forEach(key => {
       dailyTotals[key].totalLRD = Math.max(0, dailyTotals[key].totalLRD);
@@ -577,6 +854,17 @@ const getSalesReport = async (req, res) => {
       productTotals[key].totalUSD = Math.max(0, productTotals[key].totalUSD);
     });
 
+    Object.keys(categoryTotals).forEach(key => {
+      categoryTotals[key].totalLRD = Math.max(0, categoryTotals[key].totalLRD);
+      categoryTotals[key].totalUSD = Math.max(0, categoryTotals[key].totalUSD);
+    });
+
+    // Profit can be negative, so it is only rounded and given a margin percentage
+    [dailyTotals, storeTotals, productTotals, categoryTotals].forEach(group => {
+      Object.values(group).forEach(finishMargins);
+    });
+    finishMargins(overallTotals);
+
     overallTotals.totalLRD = Math.max(0, overallTotals.totalLRD);
     overallTotals.totalUSD = Math.max(0, overallTotals.totalUSD);
     overallTotals.totalItems = Math.max(0, overallTotals.totalItems);
@@ -585,6 +873,7 @@ const getSalesReport = async (req, res) => {
     const dailyTotalsArray = Object.values(dailyTotals).sort((a, b) => new Date(b.date) - new Date(a.date));
     const productTotalsArray = Object.values(productTotals).sort((a, b) => b.quantitySold - a.quantitySold);
     const storeTotalsArray = Object.values(storeTotals).sort((a, b) => b.transactions - a.transactions);
+    const categoryTotalsArray = Object.values(categoryTotals).sort((a, b) => b.profitLRD - a.profitLRD);
 
     // Add store count to summary
     overallTotals.storeCount = Object.keys(storeTotals).length;
@@ -593,6 +882,7 @@ const getSalesReport = async (req, res) => {
       summary: overallTotals,
       dailyTotals: dailyTotalsArray,
       productTotals: productTotalsArray,
+      categoryTotals: categoryTotalsArray,
       storeTotals: storeTotalsArray,
       recentTransactions: recentTransactions
     });
@@ -604,7 +894,7 @@ const getSalesReport = async (req, res) => {
 
 const getTopProducts = async (req, res) => {
   try {
-    const { startDate, endDate, store } = req.query;
+    const { startDate, endDate } = req.query;
     const start = startDate ? new Date(startDate) : new Date(0);
     const end = endDate ? new Date(endDate) : new Date();
     end.setHours(23, 59, 59, 999);
@@ -613,17 +903,25 @@ const getTopProducts = async (req, res) => {
       {
         $match: {
           date: { $gte: start, $lte: end },
-          store,
-          type: 'sale'
+          ...req.storeFilter,
+          type: 'sale',
+          status: { $ne: 'voided' }
         }
       },
       { $unwind: '$productsSold' },
       {
+        // Revenue and cost come from each product's own line, not the
+        // whole transaction total
         $group: {
           _id: '$productsSold.product',
           totalQuantity: { $sum: '$productsSold.quantity' },
-          totalSalesLRD: { $sum: '$totalLRD' },
-          totalSalesUSD: { $sum: '$totalUSD' },
+          totalSalesLRD: { $sum: { $multiply: ['$productsSold.priceAtSale.LRD', '$productsSold.quantity'] } },
+          totalSalesUSD: { $sum: { $multiply: ['$productsSold.priceAtSale.USD', '$productsSold.quantity'] } },
+          totalCostLRD: { $sum: { $multiply: [{ $ifNull: ['$productsSold.costAtSale.LRD', 0] }, '$productsSold.quantity'] } },
+          totalCostUSD: { $sum: { $multiply: [{ $ifNull: ['$productsSold.costAtSale.USD', 0] }, '$productsSold.quantity'] } },
+          itemsWithoutCost: {
+            $sum: { $cond: [{ $eq: [{ $ifNull: ['$productsSold.costAtSale.LRD', null] }, null] }, '$productsSold.quantity', 0] }
+          },
           transactions: { $sum: 1 }
         }
       },
@@ -640,9 +938,15 @@ const getTopProducts = async (req, res) => {
         $project: {
           _id: 1,
           item: '$product.item',
+          category: '$product.category',
           totalQuantity: 1,
-          totalSalesLRD: 1,
-          totalSalesUSD: 1,
+          totalSalesLRD: { $round: ['$totalSalesLRD', 2] },
+          totalSalesUSD: { $round: ['$totalSalesUSD', 2] },
+          totalCostLRD: { $round: ['$totalCostLRD', 2] },
+          totalCostUSD: { $round: ['$totalCostUSD', 2] },
+          profitLRD: { $round: [{ $subtract: ['$totalSalesLRD', '$totalCostLRD'] }, 2] },
+          profitUSD: { $round: [{ $subtract: ['$totalSalesUSD', '$totalCostUSD'] }, 2] },
+          itemsWithoutCost: 1,
           transactions: 1
         }
       },
@@ -656,94 +960,466 @@ const getTopProducts = async (req, res) => {
   }
 };
 
-// Handle product returns
+// Discounts report: every sale with a manual discount, who gave it and who
+// approved it, with totals per cashier and per approver.
+// Supports ?startDate=&endDate=&cashierId=
+const getDiscountReport = async (req, res) => {
+  try {
+    const { startDate, endDate, cashierId } = req.query;
+    const start = startDate ? new Date(startDate) : new Date(0);
+    const end = endDate ? new Date(endDate) : new Date();
+    end.setHours(23, 59, 59, 999);
+
+    const query = {
+      date: { $gte: start, $lte: end },
+      ...req.storeFilter,
+      type: 'sale',
+      status: { $ne: 'voided' },
+      discountValue: { $gt: 0 }
+    };
+    if (cashierId) {
+      query.cashierId = cashierId;
+    }
+
+    const sales = await Transaction.find(query).sort({ date: -1 });
+
+    const byCashier = {};
+    const byApprover = {};
+    const totals = { count: 0, overrides: 0, discountLRD: 0, discountUSD: 0 };
+    const addTo = (group, key, name, row) => {
+      if (!group[key]) {
+        group[key] = { name, count: 0, overrides: 0, discountLRD: 0, discountUSD: 0 };
+      }
+      [group[key], totals].forEach(entry => {
+        entry.count += 1;
+        entry.overrides += row.override ? 1 : 0;
+        entry.discountLRD += row.discountLRD;
+        entry.discountUSD += row.discountUSD;
+      });
+    };
+
+    const rows = [];
+    sales.forEach(sale => {
+      // Sales made before promotions recorded no promotion discount
+      const discountLRD = roundMoney((sale.discountLRD || 0) - (sale.promotionDiscountLRD || 0));
+      const discountUSD = roundMoney((sale.discountUSD || 0) - (sale.promotionDiscountUSD || 0));
+      if (discountLRD <= 0 && discountUSD <= 0) {
+        return;
+      }
+      const row = {
+        _id: sale._id,
+        date: sale.date,
+        receiptNumber: sale.receiptNumber,
+        currency: sale.currency,
+        cashierId: sale.cashierId,
+        cashierName: sale.cashierName,
+        discountType: sale.discountType,
+        discountValue: sale.discountValue,
+        discountPercent: sale.discountPercent,
+        discountLRD,
+        discountUSD,
+        promotionDiscountLRD: sale.promotionDiscountLRD || 0,
+        promotionDiscountUSD: sale.promotionDiscountUSD || 0,
+        totalLRD: sale.totalLRD,
+        totalUSD: sale.totalUSD,
+        approvedBy: sale.discountApprovedBy,
+        approvedByName: sale.discountApprovedByName,
+        override: Boolean(sale.discountOverride)
+      };
+      rows.push(row);
+      addTo(byCashier, String(sale.cashierId), sale.cashierName, row);
+      // Older sales have no approver recorded
+      addTo(byApprover, String(sale.discountApprovedBy || 'unrecorded'), sale.discountApprovedByName || null, row);
+    });
+
+    const finish = (group) => Object.entries(group).map(([id, entry]) => ({
+      _id: id,
+      ...entry,
+      discountLRD: roundMoney(entry.discountLRD),
+      discountUSD: roundMoney(entry.discountUSD)
+    })).sort((a, b) => b.discountLRD - a.discountLRD);
+
+    res.json({
+      period: { start, end },
+      caps: DISCOUNT_CAPS,
+      totals: { ...totals, discountLRD: roundMoney(totals.discountLRD), discountUSD: roundMoney(totals.discountUSD) },
+      byCashier: finish(byCashier),
+      byApprover: finish(byApprover),
+      sales: rows
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Handle product returns against an original sale.
+// Body: { originalTransactionId, productsReturned: [{ product, quantity, damaged }],
+//         returnReason, refundCurrency }
+// Each product can be returned up to the quantity sold less what earlier
+// returns of the same sale took back. The refund is worked out from the
+// sale's own prices, less that line's share of the sale's discount, in the
+// currency the sale was paid in (`refundCurrency` picks one for split
+// payments). Returns of credit sales come off the credit balance instead.
+// Damaged items are recorded but not put back into stock.
 const createReturnTransaction = async (req, res) => {
   try {
     const { 
       productsReturned, 
-      currency, 
-      store, 
       returnReason,
-      originalTransactionId
+      originalTransactionId,
+      refundCurrency
     } = req.body;
 
-    if (!store) {
-      return res.status(400).json({ error: 'Store is required' });
+    if (!originalTransactionId || !mongoose.Types.ObjectId.isValid(originalTransactionId)) {
+      return res.status(400).json({ error: 'The original sale must be given to process a return' });
     }
-
     if (!productsReturned || !Array.isArray(productsReturned) || productsReturned.length === 0) {
       return res.status(400).json({ error: 'At least one product must be returned' });
     }
+    if (refundCurrency !== undefined && !['LRD', 'USD'].includes(refundCurrency)) {
+      return res.status(400).json({ error: 'Refund currency must be LRD or USD' });
+    }
 
-    // Enhanced products with names and prices
-    const enhancedProductsReturned = [];
-    let totalLRD = 0;
-    let totalUSD = 0;
+    // Record the rate in force when the return was processed
+    const rateDoc = await CurrencyRate.getRate();
 
-    // Validate products and update inventory
-    for (const item of productsReturned) {
-      const product = await Product.findOne({ _id: item.product, store });
-      if (!product) {
-        return res.status(404).json({ error: `Product ${item.product} not found in store ${store}` });
+    // Restocking, the ledger entries and the return transaction commit together
+    const transaction = await runInTransaction(async (session) => {
+      // Touching the sale makes a concurrent return of it fail with a write conflict
+      const original = await Transaction.findOneAndUpdate(
+        { _id: originalTransactionId, type: 'sale', status: { $ne: 'voided' }, ...req.storeFilter },
+        { $set: { lastReturnAt: new Date() } },
+        { new: true, session }
+      );
+      if (!original) {
+        throw new HttpError(404, 'Original sale not found');
       }
+      const store = original.store;
+      const transactionId = new mongoose.Types.ObjectId();
+
+      // Quantity sold per product, and the line its prices come from
+      const soldLines = {};
+      original.productsSold.forEach(line => {
+        const key = line.product.toString();
+        if (!soldLines[key]) {
+          soldLines[key] = { line, sold: 0, returned: 0, requested: 0, promotionLRD: 0, promotionUSD: 0 };
+        }
+        soldLines[key].sold += line.quantity;
+        soldLines[key].promotionLRD += line.discountLRD || 0;
+        soldLines[key].promotionUSD += line.discountUSD || 0;
+      });
 
-      // Validate quantity
-      if (!item.quantity || item.quantity <= 0) {
-        return res.status(400).json({ error: `Invalid quantity for product ${product.item}` });
-      }
+      const earlierReturns = await Transaction.find({ type: 'return', originalTransaction: original._id })
+        .select('productsSold')
+        .session(session);
+      earlierReturns.forEach(earlier => {
+        earlier.productsSold.forEach(line => {
+          const sold = soldLines[line.product.toString()];
+          if (sold) {
+            sold.returned += line.quantity;
+          }
+        });
+      });
 
-      // Update product quantity (add back to inventory)
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { pieces: item.quantity } }
-      );
+      // Enhanced products with names and prices
+      const enhancedProductsReturned = [];
+      const movements = [];
+      let subtotalLRD = 0;
+      let subtotalUSD = 0;
+      let promotionLRD = 0;
+      let promotionUSD = 0;
+
+      // Validate products and update inventory
+      for (const item of productsReturned) {
+        // Validate quantity
+        const quantity = Number(item.quantity);
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+          throw new HttpError(400, `Invalid quantity for product ${item.product}`);
+        }
+
+        const sold = item.product ? soldLines[item.product.toString()] : null;
+        if (!sold) {
+          throw new HttpError(400, `Product ${item.product} was not part of the original sale`);
+        }
+        sold.requested += quantity;
+        const returnable = sold.sold - sold.returned;
+        if (sold.requested > returnable) {
+          throw new HttpError(400, `Only ${returnable} of ${sold.line.productName} can still be returned against this sale`);
+        }
 
-      // Calculate totals
-      const itemTotalLRD = product.priceLRD * item.quantity;
-      const itemTotalUSD = product.priceUSD * item.quantity;
-      totalLRD += itemTotalLRD;
-      totalUSD += itemTotalUSD;
-
-      // Add enhanced product information
-      enhancedProductsReturned.push({
-        product: item.product,
-        productName: product.item,
-        quantity: item.quantity,
-        priceAtSale: {
-          USD: product.priceUSD,
-          LRD: product.priceLRD
+        const damaged = Boolean(item.damaged);
+        if (!damaged) {
+          // Update product quantity (add back to inventory)
+          const product = await Product.findOneAndUpdate(
+            { _id: sold.line.product, store },
+            { $inc: { pieces: quantity } },
+            { new: true, session }
+          );
+          if (!product) {
+            throw new HttpError(404, `Product ${item.product} not found in store ${store}`);
+          }
+
+          movements.push(buildStockMovement(product, quantity, {
+            reason: 'return',
+            referenceType: 'Transaction',
+            referenceId: transactionId,
+            user: req.user,
+            note: returnReason
+          }));
         }
+
+        // Calculate totals at the prices actually charged
+        subtotalLRD += sold.line.priceAtSale.LRD * quantity;
+        subtotalUSD += sold.line.priceAtSale.USD * quantity;
+        // Promotions on the product come back at their average per unit
+        promotionLRD += sold.promotionLRD * quantity / sold.sold;
+        promotionUSD += sold.promotionUSD * quantity / sold.sold;
+
+        // Add enhanced product information
+        enhancedProductsReturned.push({
+          product: sold.line.product,
+          productName: sold.line.productName,
+          quantity,
+          category: sold.line.category,
+          priceAtSale: {
+            USD: sold.line.priceAtSale.USD,
+            LRD: sold.line.priceAtSale.LRD
+          },
+          // Returned goods go back into stock at the cost they left it
+          costAtSale: sold.line.costAtSale,
+          damaged: damaged || undefined
+        });
+      }
+
+      await recordStockMovements(movements, session);
+
+      // The returned lines take their promotions and their share of the
+      // cashier's discount with them
+      const saleSubtotalLRD = original.productsSold.reduce((acc, line) => acc + line.priceAtSale.LRD * line.quantity, 0);
+      const saleSubtotalUSD = original.productsSold.reduce((acc, line) => acc + line.priceAtSale.USD * line.quantity, 0);
+      const saleBaseLRD = saleSubtotalLRD - (original.promotionDiscountLRD || 0);
+      const saleBaseUSD = saleSubtotalUSD - (original.promotionDiscountUSD || 0);
+      const manualLRD = (original.discountLRD || 0) - (original.promotionDiscountLRD || 0);
+      const manualUSD = (original.discountUSD || 0) - (original.promotionDiscountUSD || 0);
+      const discountLRD = roundMoney(promotionLRD + (saleBaseLRD > 0 ? manualLRD * (subtotalLRD - promotionLRD) / saleBaseLRD : 0));
+      const discountUSD = roundMoney(promotionUSD + (saleBaseUSD > 0 ? manualUSD * (subtotalUSD - promotionUSD) / saleBaseUSD : 0));
+      const totalLRD = roundMoney(subtotalLRD - discountLRD);
+      const totalUSD = roundMoney(subtotalUSD - discountUSD);
+
+      const returnTransaction = new Transaction({
+        _id: transactionId,
+        type: 'return',
+        productsSold: enhancedProductsReturned, // Reusing productsSold field for returned products
+        currency: original.currency,
+        store,
+        customerName: original.customerName,
+        customerId: original.customerId,
+        creditId: original.creditId,
+        subtotal: original.currency === 'USD' ? roundMoney(subtotalUSD) : roundMoney(subtotalLRD),
+        discountLRD,
+        discountUSD,
+        totalLRD,
+        totalUSD,
+        currencyRate: rateDoc.lrdToUsd,
+        returnReason: returnReason || 'No reason provided',
+        originalTransaction: original._id,
+        cashierId: req.user._id.toString(),
+        cashierName: req.user.username,
+        shift: await findOpenShiftId(req.user, store, session),
+        ...(await nextReceiptNumber(store, session))
       });
-    }
 
-    // Create return transaction
-    const transaction = new Transaction({
-      type: 'return',
-      productsSold: enhancedProductsReturned, // Reusing productsSold field for returned products
-      currency,
-      store,
-      totalLRD: totalLRD,
-      totalUSD: totalUSD,
-      returnReason: returnReason || 'No reason provided',
-      originalTransaction: originalTransactionId || null
+      if (original.currency === 'CREDIT') {
+        const credit = original.creditId ? await Credit.findById(original.creditId).session(session) : null;
+        if (!credit) {
+          throw new HttpError(404, 'Credit for the original sale not found');
+        }
+
+        // Take the value off the balance in the credit's preferred currency.
+        // Whatever exceeds the balance had already been paid and is refunded.
+        const currency = credit.preferredCurrency;
+        const outstanding = credit.getOutstanding();
+        const value = currency === 'USD' ? totalUSD : totalLRD;
+        const applied = Math.min(value, outstanding[currency]);
+        const settled = outstanding[currency] > 0 && outstanding[currency] - value < 0.005;
+        const share = value > 0 ? applied / value : 0;
+        const appliedLRD = settled ? outstanding.LRD : totalLRD * share;
+        const appliedUSD = settled ? outstanding.USD : totalUSD * share;
+        const refund = roundMoney(value - applied);
+
+        returnTransaction.creditAppliedLRD = roundMoney(appliedLRD);
+        returnTransaction.creditAppliedUSD = roundMoney(appliedUSD);
+        returnTransaction.refundCurrency = currency;
+        returnTransaction.refundAmount = refund;
+
+        credit.returns.push({
+          appliedLRD: roundMoney(appliedLRD),
+          appliedUSD: roundMoney(appliedUSD),
+          refundAmount: refund,
+          refundCurrency: currency,
+          cashierId: req.user._id.toString(),
+          cashierName: req.user.username,
+          transaction: transactionId
+        });
+        if (settled) {
+          credit.balanceLRD = 0;
+          credit.balanceUSD = 0;
+          credit.status = 'paid';
+          credit.paidAt = new Date();
+        } else if (credit.status !== 'paid') {
+          credit.balanceLRD = roundMoney(outstanding.LRD - appliedLRD);
+          credit.balanceUSD = roundMoney(outstanding.USD - appliedUSD);
+        }
+        await credit.save({ session });
+      } else {
+        // Refund in the currency the customer paid; split payments refund in one of them
+        const currency = original.currency === 'BOTH' ? (refundCurrency || original.changeCurrency || 'LRD') : original.currency;
+        returnTransaction.refundCurrency = currency;
+        returnTransaction.refundAmount = currency === 'USD' ? totalUSD : totalLRD;
+      }
+
+      await returnTransaction.save({ session });
+      return returnTransaction;
     });
 
-    await transaction.save();
     res.status(201).json(transaction);
   } catch (error) {
     console.error('Return transaction error:', error);
-    res.status(400).json({ error: error.message });
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Void a sale or credit sale rung up by mistake. Body: { reason, approverUsername, approverPassword }
+// Puts the goods back into stock, cancels the linked credit and keeps the sale
+// on record as voided. Cashiers need a manager's credentials to approve it.
+// The cash handed back comes out of the voiding user's shift.
+const voidTransaction = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A reason is required to void a transaction' });
+    }
+
+    const result = await runInTransaction(async (session) => {
+      const sale = await Transaction.findOne({ _id: req.params.id, ...req.storeFilter }).session(session);
+      if (!sale) {
+        throw new HttpError(404, 'Transaction not found');
+      }
+      if (sale.type !== 'sale') {
+        throw new HttpError(400, 'Only sales and credit sales can be voided');
+      }
+      if (sale.status === 'voided') {
+        throw new HttpError(400, 'Transaction is already voided');
+      }
+
+      const approver = await resolveApprover(req.user, sale.store, req.body);
+
+      // The void is counted in the voiding user's shift, whose drawer hands
+      // the cash back, so sales rung up in a shift need one open to void them
+      const voidShift = await findOpenShiftId(req.user, sale.store, session);
+      if (sale.shift && !voidShift) {
+        throw new HttpError(400, 'Open a shift before voiding this sale');
+      }
+
+      if (await Transaction.exists({ type: 'return', originalTransaction: sale._id }).session(session)) {
+        throw new HttpError(400, 'Sales with returns against them cannot be voided');
+      }
+
+      let credit = null;
+      if (sale.creditId) {
+        credit = await Credit.findById(sale.creditId).session(session);
+        if (credit && (credit.payments.length > 0 || credit.returns.length > 0)) {
+          throw new HttpError(400, 'Credits with payments against them cannot be voided');
+        }
+      }
+
+      // Put the goods back. Products deleted since the sale have nothing to restock.
+      const movements = [];
+      for (const line of sale.productsSold) {
+        const product = await Product.findOneAndUpdate(
+          { _id: line.product, store: sale.store },
+          { $inc: { pieces: line.quantity } },
+          { new: true, session }
+        );
+        if (product) {
+          movements.push(buildStockMovement(product, line.quantity, {
+            reason: 'void',
+            referenceType: 'Transaction',
+            referenceId: sale._id,
+            user: req.user,
+            note: reason
+          }));
+        }
+      }
+      await recordStockMovements(movements, session);
+
+      if (credit) {
+        credit.status = 'cancelled';
+        credit.cancelledAt = new Date();
+        credit.cancelReason = reason;
+        await credit.save({ session });
+      }
+
+      sale.status = 'voided';
+      sale.voidReason = reason;
+      sale.voidedAt = new Date();
+      sale.voidedBy = req.user._id;
+      sale.voidedByName = req.user.username;
+      sale.voidApprovedBy = approver._id;
+      sale.voidApprovedByName = approver.username;
+      sale.voidShift = voidShift;
+      await sale.save({ session });
+
+      return { transaction: sale, credit };
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Void transaction error:', error);
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Receive goods into stock. Body: { items: [{ product, quantity, unitCost }],
+// costCurrency ('LRD' | 'USD'), supplierReference, supplierName }
+const createRestockTransaction = async (req, res) => {
+  try {
+    const { items, costCurrency = 'LRD', supplierReference, supplierName } = req.body;
+    const store = req.store;
+
+    const rate = (await CurrencyRate.getRate()).lrdToUsd;
+
+    // Stock increments, their ledger entries and the restock record commit together
+    const transaction = await runInTransaction((session) => createRestock({
+      items,
+      store,
+      rate,
+      costCurrency,
+      supplierReference,
+      supplierName,
+      user: req.user
+    }, session));
+
+    res.status(201).json(transaction);
+  } catch (error) {
+    console.error('Restock transaction error:', error);
+    res.status(error.status || 400).json({ error: error.message });
   }
 };
 
 module.exports = {
   createTransaction,
+  createRestockTransaction,
   getTransactions,
   getTransactionById,
+  getTransactionByReceiptNumber,
+  getTransactionReceipt,
   getTransactionsByDate,
   getTransactionsByProduct,
   getTransactionsByDateRange,
   getSalesReport,
   getTopProducts,
-  createReturnTransaction
+  getDiscountReport,
+  createReturnTransaction,
+  voidTransaction
 };
@@ -0,0 +1,288 @@
+const Transfer = require('../models/Transfer');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const CurrencyRate = require('../models/CurrencyRate');
+const { runInTransaction } = require('../utils/db');
+const { takeFromStock, receiveStock } = require('../utils/inventory');
+const { getUnitCosts } = require('../utils/pricing');
+const { HttpError } = require('../utils/errors');
+const { recordStoreAccess } = require('../middleware/storeScope');
+
+// Fields copied when a product first arrives at a store that does not stock it
+// yet. Stock and average cost arrive through receiveStock.
+const PRODUCT_FIELDS_TO_COPY = [
+  'item', 'measurement', 'type', 'category', 'priceLRD', 'priceUSD', 'priceCurrency',
+  'cts', 'barcode', 'reorderLevel', 'reorderQuantity', 'image'
+];
+
+// Only staff of `store` may act for it; admins may act for any store and the
+// access is logged in the same transaction, so it is only kept if the action
+// commits.
+const assertActingFor = async (req, store, action, session) => {
+  if (req.user.store === store) {
+    return;
+  }
+  if (req.user.userType !== 'admin') {
+    throw new HttpError(403, `Only ${store} can ${action} this transfer`);
+  }
+  await recordStoreAccess(req, store, session);
+};
+
+// Transfers that involve the store(s) in the request's scope
+const transferScope = (req) => (req.allStores ? {} : { $or: [{ fromStore: req.store }, { toStore: req.store }] });
+
+// Request a transfer. Body: { toStore, lines: [{ product, quantity }], notes }
+// The goods come from the store in scope, or from `fromStore` when the
+// destination asks for them.
+const createTransfer = async (req, res) => {
+  try {
+    const { toStore, fromStore, lines, notes } = req.body;
+    const source = fromStore || req.store;
+    const destination = toStore || req.store;
+
+    if (source === destination) {
+      return res.status(400).json({ error: 'A transfer must go to a different store' });
+    }
+    if (![source, destination].includes(req.store)) {
+      return res.status(403).json({ error: 'A transfer must be to or from your store' });
+    }
+
+    // Stores exist as long as they have users (see getStores)
+    const otherStore = source === req.store ? destination : source;
+    if (!(await User.exists({ store: otherStore }))) {
+      return res.status(404).json({ error: `Store ${otherStore} not found` });
+    }
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ error: 'At least one product must be transferred' });
+    }
+
+    const transferLines = [];
+    for (const line of lines) {
+      const quantity = Number(line.quantity);
+      if (!Number.isFinite(quantity) || quantity <= 0) {
+        return res.status(400).json({ error: `Invalid quantity for product ${line.product}` });
+      }
+      const product = await Product.findOne({ _id: line.product, store: source }).select('item');
+      if (!product) {
+        return res.status(404).json({ error: `Product ${line.product} not found in store ${source}` });
+      }
+      transferLines.push({ product: product._id, productName: product.item, quantity });
+    }
+
+    const transfer = new Transfer({
+      fromStore: source,
+      toStore: destination,
+      lines: transferLines,
+      notes,
+      requestedBy: req.user._id,
+      requestedByName: req.user.username
+    });
+    await transfer.save();
+
+    res.status(201).json(transfer);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Get transfers to or from the store (supports ?status=&direction=in|out&page=&limit=)
+const getTransfers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { status, direction } = req.query;
+
+    let query = transferScope(req);
+    if (!req.allStores && direction === 'in') {
+      query = { toStore: req.store };
+    } else if (!req.allStores && direction === 'out') {
+      query = { fromStore: req.store };
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const totalCount = await Transfer.countDocuments(query);
+    const totalPages = Math.ceil(totalCount / limit);
+    const transfers = await Transfer.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      transfers,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        totalItems: totalCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get a specific transfer
+const getTransferById = async (req, res) => {
+  try {
+    const transfer = await Transfer.findOne({ _id: req.params.id, ...transferScope(req) });
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    res.json(transfer);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Send the goods: takes the quantities out of the source store's stock
+const dispatchTransfer = async (req, res) => {
+  try {
+    const rate = (await CurrencyRate.getRate()).lrdToUsd;
+
+    const transfer = await runInTransaction(async (session) => {
+      const pending = await Transfer.findById(req.params.id).session(session);
+      if (!pending) {
+        throw new HttpError(404, 'Transfer not found');
+      }
+      await assertActingFor(req, pending.fromStore, 'dispatch', session);
+      if (pending.status !== 'requested') {
+        throw new HttpError(400, `Only requested transfers can be dispatched (this one is ${pending.status})`);
+      }
+
+      const taken = await takeFromStock(
+        pending.lines.map(line => ({ product: line.product, quantity: line.quantity })),
+        pending.fromStore,
+        session,
+        {
+          reason: 'transfer_out',
+          referenceType: 'Transfer',
+          referenceId: pending._id,
+          user: req.user,
+          note: `To ${pending.toStore}`
+        }
+      );
+
+      // Carry each product's average cost so the destination values the goods the same
+      taken.forEach(({ product }, index) => {
+        pending.lines[index].unitCost = getUnitCosts(product, rate);
+      });
+
+      pending.status = 'dispatched';
+      pending.dispatchedBy = req.user._id;
+      pending.dispatchedByName = req.user.username;
+      pending.dispatchedAt = new Date();
+      await pending.save({ session });
+      return pending;
+    });
+
+    res.json(transfer);
+  } catch (error) {
+    console.error('Transfer dispatch error:', error);
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Take delivery: adds the quantities to the destination's matching
+// { item, store } product, creating it from the source product if needed
+const receiveTransfer = async (req, res) => {
+  try {
+    const rate = (await CurrencyRate.getRate()).lrdToUsd;
+
+    const transfer = await runInTransaction(async (session) => {
+      const pending = await Transfer.findById(req.params.id).session(session);
+      if (!pending) {
+        throw new HttpError(404, 'Transfer not found');
+      }
+      await assertActingFor(req, pending.toStore, 'receive', session);
+      if (pending.status !== 'dispatched') {
+        throw new HttpError(400, `Only dispatched transfers can be received (this one is ${pending.status})`);
+      }
+
+      const items = [];
+      for (const line of pending.lines) {
+        let destination = await Product.findOne({ item: line.productName, store: pending.toStore }).session(session);
+        if (!destination) {
+          const source = await Product.findById(line.product).session(session);
+          const productData = { store: pending.toStore, pieces: 0 };
+          if (source) {
+            PRODUCT_FIELDS_TO_COPY.forEach(field => {
+              if (source[field] !== undefined) {
+                productData[field] = source[field];
+              }
+            });
+          } else {
+            productData.item = line.productName;
+          }
+          [destination] = await Product.create([productData], { session });
+        }
+
+        line.destinationProduct = destination._id;
+        items.push({
+          product: destination._id,
+          quantity: line.quantity,
+          unitCost: line.unitCost && typeof line.unitCost.LRD === 'number' ? line.unitCost.LRD : null
+        });
+      }
+
+      await receiveStock(items, pending.toStore, session, {
+        rate,
+        costCurrency: 'LRD',
+        requireCost: false,
+        movement: {
+          reason: 'transfer_in',
+          referenceType: 'Transfer',
+          referenceId: pending._id,
+          user: req.user,
+          note: `From ${pending.fromStore}`
+        }
+      });
+
+      pending.status = 'received';
+      pending.receivedBy = req.user._id;
+      pending.receivedByName = req.user.username;
+      pending.receivedAt = new Date();
+      await pending.save({ session });
+      return pending;
+    });
+
+    res.json(transfer);
+  } catch (error) {
+    console.error('Transfer receipt error:', error);
+    res.status(error.status || 400).json({ error: error.message });
+  }
+};
+
+// Cancel a transfer that has not been dispatched yet
+const cancelTransfer = async (req, res) => {
+  try {
+    const transfer = await Transfer.findOne({ _id: req.params.id, ...transferScope(req) });
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    if (transfer.status !== 'requested') {
+      return res.status(400).json({ error: 'Only transfers that have not been dispatched can be cancelled' });
+    }
+
+    transfer.status = 'cancelled';
+    transfer.cancelledBy = req.user._id;
+    transfer.cancelledByName = req.user.username;
+    transfer.cancelledAt = new Date();
+    await transfer.save();
+    res.json(transfer);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createTransfer,
+  getTransfers,
+  getTransferById,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer
+};
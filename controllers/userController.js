@@ -1,5 +1,7 @@
 const User = require('../models/User');
+const StoreAccessLog = require('../models/StoreAccessLog');
 const crypto = require('crypto');
+const { generateToken } = require('../middleware/auth');
 
 const registerUser = async (req, res) => {
   try {
@@ -89,15 +91,27 @@ const loginUser = async (req, res) => {
     }
 
     res.json({ 
+      _id: user._id,
       username: user.username,
       userType: user.userType,
-      store: user.store
+      store: user.store,
+      token: generateToken(user)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
+// Get the user attached to the current session
+const getCurrentUser = async (req, res) => {
+  res.json({
+    _id: req.user._id,
+    username: req.user.username,
+    userType: req.user.userType,
+    store: req.user.store
+  });
+};
+
 const getUsers = async (req, res) => {
   try {
     const users = await User.find({}, 'username userType store');
@@ -150,6 +164,11 @@ const changePassword = async (req, res) => {
     const { userId } = req.params;
     const { password } = req.body;
 
+    // Users may change their own password; anyone else's requires an admin
+    if (req.user.userType !== 'admin' && req.user._id.toString() !== userId) {
+      return res.status(403).json({ error: 'You can only change your own password' });
+    }
+
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -214,14 +233,50 @@ const deleteStore = async (req, res) => {
   }
 };
 
+// List cross-store accesses made by admins, newest first
+const getStoreAccessLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { targetStore, username } = req.query;
+
+    const query = {};
+    if (targetStore) {
+      query.targetStore = targetStore;
+    }
+    if (username) {
+      query.username = username;
+    }
+
+    const totalCount = await StoreAccessLog.countDocuments(query);
+    const logs = await StoreAccessLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.json({
+      logs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
+  getCurrentUser,
   getUsers,
   updateUserType,
   getStores,
   changePassword,
   deleteUser,
   getUsersByStore,
-  deleteStore
+  deleteStore,
+  getStoreAccessLogs
 };
@@ -0,0 +1,97 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+if (!JWT_SECRET) {
+  console.warn('[Auth] JWT_SECRET is not set. Add it to the backend .env file before issuing tokens.');
+}
+
+// Sign a session token for a logged in user
+const generateToken = (user) => {
+  if (!JWT_SECRET) {
+    throw new Error('Authentication is not configured on the server');
+  }
+
+  return jwt.sign(
+    { id: user._id.toString(), userType: user.userType, store: user.store },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+// Read the token from the Authorization header. EventSource (used by the sync
+// routes) cannot set headers, so a ?token= query parameter is accepted as well.
+const getTokenFromRequest = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.query.token || null;
+};
+
+// Verify the session token and attach the user to req.user
+const protect = async (req, res, next) => {
+  try {
+    const token = getTokenFromRequest(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!JWT_SECRET) {
+      return res.status(500).json({ error: 'Authentication is not configured on the server' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      const message = error.name === 'TokenExpiredError' ? 'Session expired, please log in again' : 'Invalid session token';
+      return res.status(401).json({ error: message });
+    }
+
+    // Load the user so deleted users and role changes take effect immediately
+    const user = await User.findById(payload.id).select('-password -salt');
+    if (!user) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Restrict a route to the given user types, e.g. authorize('admin', 'manager')
+const authorize = (...userTypes) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!userTypes.includes(req.user.userType)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+// Registration is open only until the first user exists; after that only
+// admins can create accounts.
+const adminOrFirstUser = async (req, res, next) => {
+  try {
+    const userCount = await User.estimatedDocumentCount();
+    if (userCount === 0) {
+      return next();
+    }
+    protect(req, res, () => authorize('admin')(req, res, next));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  generateToken,
+  protect,
+  authorize,
+  adminOrFirstUser
+};
@@ -0,0 +1,79 @@
+const StoreAccessLog = require('../models/StoreAccessLog');
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// Record an admin touching data that belongs to a store other than their own.
+// Pass the session when the access is part of a transaction, so the entry is
+// only kept if the transaction commits.
+const recordStoreAccess = async (req, targetStore, session = null) => {
+  await StoreAccessLog.create([{
+    user: req.user._id,
+    username: req.user.username,
+    userStore: req.user.store,
+    targetStore,
+    method: req.method,
+    path: req.originalUrl.replace(/token=[^&]+/, 'token=[redacted]'),
+    ip: req.ip
+  }], { session });
+};
+
+// Resolve the store a request works against from the logged in user rather
+// than trusting the ?store= / body.store sent by the client.
+//
+// Sets:
+//   req.store       - the store to read from / write to
+//   req.allStores   - true when an admin asked for every store (reads only)
+//   req.storeFilter - query fragment to spread into Mongo filters
+//
+// Non-admins are always pinned to their own store. Admins may pass a different
+// store, or allStores=true on GET requests; every such access is logged.
+// Must run after protect (and after multer on multipart routes so req.body is parsed).
+const scopeStore = async (req, res, next) => {
+  try {
+    const user = req.user;
+    const body = req.body || {};
+    const requestedStore = req.params.store || req.query.store || body.store;
+    const wantsAllStores = isTrue(req.query.allStores) || isTrue(body.allStores);
+
+    if (user.userType !== 'admin') {
+      if (wantsAllStores) {
+        return res.status(403).json({ error: 'Only admins can access all stores' });
+      }
+      if (requestedStore && requestedStore !== user.store) {
+        return res.status(403).json({ error: 'You do not have access to this store' });
+      }
+      req.store = user.store;
+      req.allStores = false;
+      req.storeFilter = { store: user.store };
+      return next();
+    }
+
+    if (wantsAllStores) {
+      if (req.method !== 'GET') {
+        return res.status(400).json({ error: 'allStores can only be used when reading data' });
+      }
+      await recordStoreAccess(req, '*');
+      req.store = null;
+      req.allStores = true;
+      req.storeFilter = {};
+      return next();
+    }
+
+    req.store = requestedStore || user.store;
+    req.allStores = false;
+    req.storeFilter = { store: req.store };
+
+    if (req.store !== user.store) {
+      await recordStoreAccess(req, req.store);
+    }
+    next();
+  } catch (error) {
+    console.error('Store scope error:', error);
+    res.status(500).json({ error: 'Failed to resolve store access' });
+  }
+};
+
+module.exports = {
+  scopeStore,
+  recordStoreAccess
+};
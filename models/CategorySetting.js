@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Per-store defaults for every product in a category. A value set on the
+// product itself takes precedence.
+const categorySettingSchema = new mongoose.Schema({
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reorderLevel: { type: Number, min: 0, default: null },
+  reorderQuantity: { type: Number, min: 0, default: null },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+categorySettingSchema.index({ store: 1, category: 1 }, { unique: true });
+
+const CategorySetting = mongoose.model('CategorySetting', categorySettingSchema);
+
+module.exports = CategorySetting;
@@ -7,6 +7,11 @@ const creditSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
   store: {
     type: String,
     required: true,
@@ -14,7 +19,7 @@ const creditSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'paid'],
+    enum: ['pending', 'partially_paid', 'paid', 'cancelled'],
     default: 'pending'
   },
   preferredCurrency: {
@@ -39,9 +44,57 @@ const creditSchema = new mongoose.Schema({
     type: Number, 
     default: 0
   },
+  // Outstanding balance, reduced by each payment. Both currencies are kept so
+  // the tab can be settled in either; the preferred currency decides when it is paid.
+  balanceLRD: {
+    type: Number
+  },
+  balanceUSD: {
+    type: Number
+  },
+  // Ledger of installments paid against this credit
+  payments: [{
+    date: { type: Date, default: Date.now },
+    currency: { type: String, enum: ['LRD', 'USD', 'BOTH'], required: true },
+    amountReceivedLRD: { type: Number, default: 0 },
+    amountReceivedUSD: { type: Number, default: 0 },
+    // Value taken off the balance, expressed in both currencies
+    appliedLRD: { type: Number, required: true },
+    appliedUSD: { type: Number, required: true },
+    change: { type: Number, default: 0 },
+    changeCurrency: { type: String, enum: ['LRD', 'USD', null] },
+    rate: { type: Number, required: true },
+    cashierId: { type: String, trim: true },
+    cashierName: { type: String, trim: true },
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }
+  }],
+  // Goods returned against this credit. The value comes off the balance; any
+  // part already paid for is refunded to the customer.
+  returns: [{
+    date: { type: Date, default: Date.now },
+    appliedLRD: { type: Number, required: true },
+    appliedUSD: { type: Number, required: true },
+    refundAmount: { type: Number, default: 0 },
+    refundCurrency: { type: String, enum: ['LRD', 'USD'] },
+    cashierId: { type: String, trim: true },
+    cashierName: { type: String, trim: true },
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }
+  }],
+  // Optional date the customer agreed to settle by; used for overdue tracking
+  dueDate: {
+    type: Date
+  },
   paidAt: { 
     type: Date
   },
+  // Set when the credit sale is voided
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String,
+    trim: true
+  },
   paymentTransaction: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Transaction'
@@ -54,9 +107,36 @@ const creditSchema = new mongoose.Schema({
   }
 });
 
+// A new credit starts with the full amount outstanding
+creditSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    if (this.balanceLRD === undefined || this.balanceLRD === null) {
+      this.balanceLRD = this.totalLRD;
+    }
+    if (this.balanceUSD === undefined || this.balanceUSD === null) {
+      this.balanceUSD = this.totalUSD;
+    }
+  }
+  next();
+});
+
+// Outstanding amount in both currencies. Credits created before the payments
+// ledger have no balance fields, so fall back to the original totals.
+creditSchema.methods.getOutstanding = function() {
+  if (this.status === 'paid' || this.status === 'cancelled') {
+    return { LRD: 0, USD: 0 };
+  }
+  return {
+    LRD: this.balanceLRD !== undefined && this.balanceLRD !== null ? this.balanceLRD : this.totalLRD,
+    USD: this.balanceUSD !== undefined && this.balanceUSD !== null ? this.balanceUSD : this.totalUSD
+  };
+};
+
 // Create index for store, customerName and date for efficient querying
 creditSchema.index({ store: 1, customerName: 1, date: -1 });
 creditSchema.index({ store: 1, status: 1 });
+creditSchema.index({ customerId: 1, status: 1 });
+creditSchema.index({ store: 1, status: 1, dueDate: 1 });
 
 const Credit = mongoose.model('Credit', creditSchema);
 
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+// Each document is one entry in the LRD/USD rate history. The rate in force at
+// any moment is the entry with the latest effectiveFrom at or before it.
 const currencyRateSchema = new mongoose.Schema({
   // LRD to USD conversion rate (e.g., 197 means 197 LRD = 1 USD)
   lrdToUsd: {
@@ -7,6 +9,24 @@ const currencyRateSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // When this rate starts applying
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  // Who set the rate
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  setByName: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
   // Last updated timestamp
   updatedAt: {
     type: Date,
@@ -14,9 +34,37 @@ const currencyRateSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
-// We'll only have one record, so we'll add a static method to get or create it
+currencyRateSchema.index({ effectiveFrom: -1 });
+
+// Get the rate in force at the given date. Entries saved before rate history
+// existed have no effectiveFrom; they count from their last update.
+currencyRateSchema.statics.getRateAt = async function(date) {
+  const at = date ? new Date(date) : new Date();
+
+  const rate = await this.findOne({
+    $or: [
+      { effectiveFrom: { $lte: at } },
+      { effectiveFrom: { $exists: false }, updatedAt: { $lte: at } }
+    ]
+  }).sort({ effectiveFrom: -1, updatedAt: -1 });
+  if (rate) {
+    return rate;
+  }
+
+  // Before the first recorded rate, the earliest known rate is the best guess
+  return await this.findOne().sort({ effectiveFrom: 1, updatedAt: 1 });
+};
+
+let effectiveDatesBackfilled = false;
+
+// Get the current rate, creating the default one on first use
 currencyRateSchema.statics.getRate = async function() {
-  const rate = await this.findOne();
+  if (!effectiveDatesBackfilled) {
+    await this.backfillEffectiveDates();
+    effectiveDatesBackfilled = true;
+  }
+
+  const rate = await this.getRateAt(new Date());
   if (rate) {
     return rate;
   }
@@ -25,6 +73,15 @@ currencyRateSchema.statics.getRate = async function() {
   return await this.create({ lrdToUsd: 197 });
 };
 
+// Give the single pre-history rate document an effectiveFrom so it sorts
+// correctly alongside new entries (run once per process from getRate)
+currencyRateSchema.statics.backfillEffectiveDates = async function() {
+  await this.updateMany(
+    { effectiveFrom: { $exists: false } },
+    [{ $set: { effectiveFrom: { $ifNull: ['$updatedAt', '$createdAt'] } } }]
+  );
+};
+
 const CurrencyRate = mongoose.model('CurrencyRate', currencyRateSchema);
 
 module.exports = CurrencyRate;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lower-cased, whitespace-collapsed name used to match free-text customer names
+  normalizedName: {
+    type: String,
+    required: true
+  },
+  phone: { type: String, trim: true },
+  address: { type: String, trim: true },
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Maximum outstanding credit allowed; null means no limit
+  creditLimit: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  creditLimitCurrency: {
+    type: String,
+    enum: ['LRD', 'USD'],
+    default: 'LRD'
+  },
+  // Price list the customer's sales are priced from unless the till picks
+  // another; retail prices when not set
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    default: null
+  },
+  notes: { type: String, trim: true },
+  // Touched by every credit sale so concurrent sales to the same customer
+  // conflict inside their database transactions and the limit check re-runs
+  lastCreditAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// One customer record per name per store
+customerSchema.index({ store: 1, normalizedName: 1 }, { unique: true });
+
+customerSchema.statics.normalizeName = function(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+customerSchema.pre('validate', function(next) {
+  if (this.name) {
+    this.name = this.name.trim().replace(/\s+/g, ' ');
+    this.normalizedName = this.constructor.normalizeName(this.name);
+  }
+  next();
+});
+
+const Customer = mongoose.model('Customer', customerSchema);
+
+module.exports = Customer;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A named price tier of a store, e.g. wholesale or staff. Products carry
+// their prices on the list in `tierPrices` (see Product); a product with no
+// price on the list sells at its retail price less `discountPercent`.
+// Customers can be given a list to be priced from by default.
+const priceListSchema = new mongoose.Schema({
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: { type: String, trim: true },
+  // Off the retail price of products with no price of their own on the list
+  discountPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdByName: { type: String },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// One list per name per store
+priceListSchema.index({ store: 1, name: 1 }, { unique: true });
+
+const PriceList = mongoose.model('PriceList', priceListSchema);
+
+module.exports = PriceList;
@@ -7,10 +7,31 @@ const productSchema = new mongoose.Schema({
   category: { type: String },
   priceLRD: { type: Number },
   priceUSD: { type: Number },
+  // Currency the price is set in. USD-priced products have their LRD price
+  // recalculated when the exchange rate changes; unset is treated as USD
+  // whenever a USD price exists.
+  priceCurrency: { type: String, enum: ['USD', 'LRD'] },
+  // Unit cost price, kept as a weighted average over the stock received
+  costLRD: { type: Number, min: 0 },
+  costUSD: { type: Number, min: 0 },
+  // Stock level at or below which the product should be reordered, and how
+  // many to order. Unset falls back to the category setting, then the default.
+  reorderLevel: { type: Number, min: 0, default: null },
+  reorderQuantity: { type: Number, min: 0, default: null },
   pieces: { type: Number },
   totalLRD: { type: Number },
   totalUSD: { type: Number },
+  // Pieces in a carton
   cts: { type: Number },
+  // Prices other than the retail piece price above: per piece or per carton,
+  // on a price list, or at retail when `priceList` is null (e.g. a retail
+  // carton price). Like the retail price, one currency is enough.
+  tierPrices: [{
+    priceList: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList', default: null },
+    unit: { type: String, enum: ['piece', 'carton'], default: 'piece' },
+    priceLRD: { type: Number, min: 0 },
+    priceUSD: { type: Number, min: 0 }
+  }],
   barcode: { type: String },
   compartment: { type: String },
   shelve: { type: String },
@@ -26,6 +47,29 @@ const productSchema = new mongoose.Schema({
 // Create a compound index for item and store to ensure unique items per store
 productSchema.index({ item: 1, store: 1 }, { unique: true });
 
+// Tier prices need a price, one per price list and unit, and carton prices
+// need the carton size. The only retail tier price is the carton price.
+productSchema.pre('validate', function(next) {
+  const seen = new Set();
+  (this.tierPrices || []).forEach((tier, index) => {
+    const key = `${tier.priceList || 'retail'}:${tier.unit}`;
+    if (seen.has(key)) {
+      this.invalidate(`tierPrices.${index}`, 'A product can only have one price per price list and unit');
+    }
+    seen.add(key);
+    if (!tier.priceList && tier.unit !== 'carton') {
+      this.invalidate(`tierPrices.${index}`, 'The retail piece price is the product\'s own price');
+    }
+    if (typeof tier.priceLRD !== 'number' && typeof tier.priceUSD !== 'number') {
+      this.invalidate(`tierPrices.${index}`, 'A tier price needs an LRD or USD price');
+    }
+    if (tier.unit === 'carton' && !(this.cts > 0)) {
+      this.invalidate(`tierPrices.${index}`, 'Set the pieces per carton (cts) to price by the carton');
+    }
+  });
+  next();
+});
+
 // Pre-save middleware to calculate totals
 productSchema.pre('save', function(next) {
   if (this.pieces && this.priceLRD) {
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'buy_x_get_y', 'quantity_break', 'bundle'];
+
+// A pricing rule applied automatically at checkout (see utils/promotions).
+//   percentage     - `value` percent off each unit
+//   fixed          - `value` off each unit, in `currency`
+//   buy_x_get_y    - for every `buyQuantity` bought, `getQuantity` more are
+//                    `getPercentOff` percent off (free by default)
+//   quantity_break - buying at least `minQuantity` of a product sets its unit
+//                    price to that break's `unitPrice`, in `currency`
+//   bundle         - every full set of `bundleItems` sells for `bundlePrice`,
+//                    in `currency`
+// All but bundles target `products` and/or `categories`.
+const promotionSchema = new mongoose.Schema({
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: true
+  },
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  categories: [{ type: String, trim: true }],
+  // Currency of the fixed amounts, unit prices and bundle price
+  currency: {
+    type: String,
+    enum: ['LRD', 'USD'],
+    default: 'LRD'
+  },
+  value: { type: Number, min: 0 },
+  buyQuantity: { type: Number, min: 1 },
+  getQuantity: { type: Number, min: 1 },
+  getPercentOff: { type: Number, min: 0, max: 100, default: 100 },
+  breaks: [{
+    minQuantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 }
+  }],
+  bundleItems: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  bundlePrice: { type: Number, min: 0 },
+  startsAt: { type: Date, required: true, default: Date.now },
+  // Open-ended when not set
+  endsAt: { type: Date, default: null },
+  active: { type: Boolean, default: true },
+  // Bundles with a higher priority take their items first
+  priority: { type: Number, default: 0 },
+  notes: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdByName: { type: String },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+promotionSchema.index({ store: 1, active: 1, startsAt: 1, endsAt: 1 });
+
+// Each type needs its own settings
+promotionSchema.pre('validate', function(next) {
+  const hasTarget = (this.products && this.products.length > 0) || (this.categories && this.categories.length > 0);
+
+  if (this.type !== 'bundle' && !hasTarget) {
+    this.invalidate('products', 'Choose the products or categories the promotion applies to');
+  }
+  if (this.type === 'percentage' && !(this.value > 0 && this.value <= 100)) {
+    this.invalidate('value', 'Percentage must be more than 0 and at most 100');
+  }
+  if (this.type === 'fixed' && !(this.value > 0)) {
+    this.invalidate('value', 'Amount off must be more than 0');
+  }
+  if (this.type === 'buy_x_get_y' && !(this.buyQuantity >= 1 && this.getQuantity >= 1)) {
+    this.invalidate('buyQuantity', 'Buy and get quantities are required');
+  }
+  if (this.type === 'quantity_break' && (!this.breaks || this.breaks.length === 0)) {
+    this.invalidate('breaks', 'At least one quantity break is required');
+  }
+  if (this.type === 'bundle') {
+    if (!this.bundleItems || this.bundleItems.length === 0) {
+      this.invalidate('bundleItems', 'A bundle needs at least one product');
+    }
+    if (typeof this.bundlePrice !== 'number') {
+      this.invalidate('bundlePrice', 'Bundle price is required');
+    }
+  }
+  if (this.endsAt && this.startsAt && this.endsAt < this.startsAt) {
+    this.invalidate('endsAt', 'A promotion cannot end before it starts');
+  }
+  next();
+});
+
+promotionSchema.statics.TYPES = PROMOTION_TYPES;
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
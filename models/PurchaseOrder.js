@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'closed'];
+
+// Orders that are still waiting for goods
+const OPEN_PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received'];
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  productName: { type: String, required: true },
+  quantityOrdered: { type: Number, required: true, min: 1 },
+  quantityReceived: { type: Number, default: 0, min: 0 },
+  // Cost per unit in the order's currency
+  unitCost: { type: Number, required: true, min: 0 }
+});
+
+// One delivery against the order; the stock itself is received by the linked
+// restock transaction
+const purchaseOrderReceiptSchema = new mongoose.Schema({
+  date: { type: Date, default: Date.now },
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+  supplierReference: { type: String, trim: true },
+  lines: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, required: true },
+    unitCost: { type: Number, required: true }
+  }],
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  receivedByName: { type: String }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierName: { type: String, required: true },
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: PURCHASE_ORDER_STATUSES,
+    default: 'draft'
+  },
+  currency: {
+    type: String,
+    enum: ['LRD', 'USD'],
+    default: 'LRD'
+  },
+  lines: {
+    type: [purchaseOrderLineSchema],
+    validate: {
+      validator: (lines) => Array.isArray(lines) && lines.length > 0,
+      message: 'A purchase order needs at least one line'
+    }
+  },
+  // Ordered value in the order's currency
+  totalCost: { type: Number, default: 0 },
+  receipts: [purchaseOrderReceiptSchema],
+  expectedDate: { type: Date },
+  notes: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdByName: { type: String },
+  sentAt: { type: Date },
+  closedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+purchaseOrderSchema.index({ store: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+
+purchaseOrderSchema.pre('validate', function(next) {
+  this.totalCost = Math.round(this.lines.reduce((acc, line) => acc + line.quantityOrdered * line.unitCost, 0) * 100) / 100;
+  next();
+});
+
+// Quantity of a line still to be delivered
+purchaseOrderSchema.methods.getOutstandingQuantity = function(line) {
+  return Math.max(0, line.quantityOrdered - (line.quantityReceived || 0));
+};
+
+purchaseOrderSchema.statics.STATUSES = PURCHASE_ORDER_STATUSES;
+purchaseOrderSchema.statics.OPEN_STATUSES = OPEN_PURCHASE_ORDER_STATUSES;
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
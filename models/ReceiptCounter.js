@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Last receipt number issued for a store in a calendar year. Incremented in
+// the same database transaction as the receipt, so an aborted sale does not
+// use up a number. Sync merges counters by keeping the higher sequence.
+const receiptCounterSchema = new mongoose.Schema({
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+receiptCounterSchema.index({ store: 1, year: 1 }, { unique: true });
+
+const ReceiptCounter = mongoose.model('ReceiptCounter', receiptCounterSchema);
+
+module.exports = ReceiptCounter;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const SHIFT_STATUSES = ['open', 'closed'];
+
+const cashAmounts = {
+  LRD: { type: Number, default: 0 },
+  USD: { type: Number, default: 0 }
+};
+
+// A cashier's session at the till. Sales, returns and credit payments taken
+// while it is open point at it, so the cash drawer can be reconciled at close.
+const shiftSchema = new mongoose.Schema({
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cashierName: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: SHIFT_STATUSES,
+    default: 'open'
+  },
+  // Cash in the drawer when the shift started
+  openingFloat: cashAmounts,
+  openedAt: { type: Date, default: Date.now },
+  openingNotes: { type: String, trim: true },
+  // When a transaction was last attached to the shift (see utils/shifts)
+  lastTransactionAt: { type: Date },
+  // Filled in at close: the float plus cash taken less cash paid out, what
+  // was actually counted, and counted minus expected (negative when short)
+  expectedCash: cashAmounts,
+  countedCash: cashAmounts,
+  variance: cashAmounts,
+  closedAt: { type: Date },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedByName: { type: String, trim: true },
+  closingNotes: { type: String, trim: true },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// A cashier has at most one open shift per store
+shiftSchema.index(
+  { store: 1, cashier: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+shiftSchema.index({ store: 1, openedAt: -1 });
+
+shiftSchema.statics.STATUSES = SHIFT_STATUSES;
+
+const Shift = mongoose.model('Shift', shiftSchema);
+
+module.exports = Shift;
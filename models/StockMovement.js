@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const STOCK_MOVEMENT_REASONS = ['sale', 'return', 'restock', 'adjustment', 'import', 'transfer_out', 'transfer_in', 'stocktake', 'void'];
+
+// Append-only ledger of every change to a product's stock level.
+// Entries are never updated or deleted; a correction is a new entry.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Kept so the history stays readable after the product is deleted or renamed
+  productName: { type: String },
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Change in pieces: negative for stock leaving the store
+  delta: {
+    type: Number,
+    required: true
+  },
+  // Stock level straight after this movement
+  balanceAfter: { type: Number },
+  reason: {
+    type: String,
+    enum: STOCK_MOVEMENT_REASONS,
+    required: true
+  },
+  // Document that caused the movement, e.g. the sale or return transaction
+  referenceType: {
+    type: String,
+    enum: ['Transaction', 'Credit', 'Product', 'Transfer', 'Stocktake', null],
+    default: null
+  },
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userName: { type: String },
+  note: { type: String, trim: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ store: 1, createdAt: -1 });
+stockMovementSchema.index({ referenceType: 1, referenceId: 1 });
+
+stockMovementSchema.statics.REASONS = STOCK_MOVEMENT_REASONS;
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const STOCKTAKE_STATUSES = ['open', 'submitted', 'approved', 'cancelled'];
+
+// A physical count of a store, or of one compartment/shelve in it.
+// Expected quantities are snapshotted when the session starts; stock
+// movements made while counting are added back when the variance is worked out.
+const stocktakeSchema = new mongoose.Schema({
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Optional location scope
+  compartment: { type: String, trim: true },
+  shelve: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: STOCKTAKE_STATUSES,
+    default: 'open'
+  },
+  lines: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    productName: { type: String, required: true },
+    barcode: { type: String },
+    // Stock level when the session started
+    expectedAtStart: { type: Number, default: 0 },
+    counted: { type: Boolean, default: false },
+    countedQuantity: { type: Number, default: 0 },
+    countedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    countedByName: { type: String },
+    countedAt: { type: Date },
+    // Filled in when the session is approved
+    variance: { type: Number }
+  }],
+  notes: { type: String, trim: true },
+  startedAt: { type: Date, default: Date.now },
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  startedByName: { type: String },
+  submittedAt: { type: Date },
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  submittedByName: { type: String },
+  approvedAt: { type: Date },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedByName: { type: String },
+  cancelledAt: { type: Date },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledByName: { type: String },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+stocktakeSchema.index({ store: 1, status: 1, createdAt: -1 });
+
+stocktakeSchema.statics.STATUSES = STOCKTAKE_STATUSES;
+
+const Stocktake = mongoose.model('Stocktake', stocktakeSchema);
+
+module.exports = Stocktake;
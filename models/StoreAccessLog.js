@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Audit trail of admins reading or writing data outside their own store
+const storeAccessLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: { type: String, required: true },
+  userStore: { type: String, required: true },
+  // The store that was accessed, or '*' for an allStores request
+  targetStore: { type: String, required: true },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+storeAccessLogSchema.index({ createdAt: -1 });
+storeAccessLogSchema.index({ user: 1, createdAt: -1 });
+
+const StoreAccessLog = mongoose.model('StoreAccessLog', storeAccessLogSchema);
+
+module.exports = StoreAccessLog;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Name and contact details printed on a store's receipts and invoices
+const storeProfileSchema = new mongoose.Schema({
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Business name shown at the top of receipts; the store name when not set
+  displayName: { type: String, trim: true },
+  address: { type: String, trim: true },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  taxId: { type: String, trim: true },
+  // Short code that starts the store's receipt numbers, e.g. MAIN, unique
+  // across stores. The store cannot take sales until it is set.
+  receiptCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{2,12}$/, 'Receipt code must be 2 to 12 letters or digits']
+  },
+  // Free text printed at the bottom of every receipt, e.g. the returns policy
+  receiptFooter: { type: String, trim: true },
+  // Terms printed on credit invoices above the signature line
+  invoiceTerms: { type: String, trim: true },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+storeProfileSchema.index({ store: 1 }, { unique: true });
+storeProfileSchema.index({ receiptCode: 1 }, { unique: true, sparse: true });
+
+const StoreProfile = mongoose.model('StoreProfile', storeProfileSchema);
+
+module.exports = StoreProfile;
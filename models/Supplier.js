@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lower-cased, whitespace-collapsed name used to prevent duplicates
+  normalizedName: {
+    type: String,
+    required: true
+  },
+  contactName: { type: String, trim: true },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  address: { type: String, trim: true },
+  store: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Currency the supplier normally invoices in
+  defaultCurrency: {
+    type: String,
+    enum: ['LRD', 'USD'],
+    default: 'LRD'
+  },
+  notes: { type: String, trim: true },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// One supplier record per name per store
+supplierSchema.index({ store: 1, normalizedName: 1 }, { unique: true });
+
+supplierSchema.statics.normalizeName = function(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+supplierSchema.pre('validate', function(next) {
+  if (this.name) {
+    this.name = this.name.trim().replace(/\s+/g, ' ');
+    this.normalizedName = this.constructor.normalizeName(this.name);
+  }
+  next();
+});
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+module.exports = Supplier;
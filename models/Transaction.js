@@ -2,7 +2,11 @@ const mongoose = require('mongoose');
 
 const transactionSchema = new mongoose.Schema({
   date: { type: Date, default: Date.now },
-  type: { type: String, enum: ['sale', 'restock', 'return'], default: 'sale' },
+  // credit_payment records an installment paid against a Credit (see creditId)
+  type: { type: String, enum: ['sale', 'restock', 'return', 'credit_payment'], default: 'sale' },
+  // Voided sales stay on record but are left out of reports and stock figures.
+  // Transactions saved before voiding existed have no status and count as completed.
+  status: { type: String, enum: ['completed', 'voided'], default: 'completed' },
   store: {
     type: String,
     required: true,
@@ -13,6 +17,11 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
   creditId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Credit',
@@ -21,12 +30,61 @@ const transactionSchema = new mongoose.Schema({
   productsSold: [{
     product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
     productName: { type: String, required: true }, 
+    // Always in pieces, with priceAtSale per piece
     quantity: { type: Number, required: true },
     priceAtSale: { 
       USD: { type: Number, required: true },
       LRD: { type: Number, required: true }
-    }
+    },
+    // Sale lines: the unit the line was sold in, how many of them and the
+    // price of one, e.g. 2 cartons of 12 pieces are 24 pieces
+    unit: { type: String, enum: ['piece', 'carton'] },
+    unitQuantity: { type: Number },
+    unitPrice: {
+      USD: { type: Number },
+      LRD: { type: Number }
+    },
+    // Purchase cost per unit on restock lines
+    unitCost: {
+      USD: { type: Number },
+      LRD: { type: Number }
+    },
+    // Product's average unit cost when it was sold, used for margin reporting.
+    // Missing when the product had no cost recorded.
+    costAtSale: {
+      USD: { type: Number },
+      LRD: { type: Number }
+    },
+    category: { type: String },
+    // Promotions applied to the line and the total they took off it
+    promotions: [{
+      promotion: { type: mongoose.Schema.Types.ObjectId, ref: 'Promotion' },
+      name: { type: String },
+      type: { type: String },
+      // Units of the line the promotion applied to
+      quantity: { type: Number },
+      discountLRD: { type: Number },
+      discountUSD: { type: Number }
+    }],
+    discountLRD: { type: Number },
+    discountUSD: { type: Number },
+    // Return lines only: goods written off instead of going back into stock
+    damaged: { type: Boolean, default: undefined }
   }],
+  // Supplier invoice or delivery note number for restocks
+  supplierReference: {
+    type: String,
+    trim: true
+  },
+  supplierName: {
+    type: String,
+    trim: true
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null
+  },
   // Discount information
   discountType: { 
     type: String, 
@@ -41,6 +99,65 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Discount in both currencies, as calculated by the server: promotions plus
+  // the cashier's discount
+  discountLRD: {
+    type: Number,
+    default: 0
+  },
+  discountUSD: {
+    type: Number,
+    default: 0
+  },
+  // Price list the sale was priced from; retail prices when not set
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+    default: null
+  },
+  priceListName: {
+    type: String,
+    trim: true
+  },
+  // Who approved a price list other than the customer's own
+  priceListApprovedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  priceListApprovedByName: {
+    type: String,
+    trim: true
+  },
+  // Cashier's discount as a percentage of the sale after promotions, and who
+  // approved it: the cashier when within their limit, otherwise the manager
+  // who overrode it (discountOverride)
+  discountPercent: {
+    type: Number,
+    default: 0
+  },
+  discountApprovedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  discountApprovedByName: {
+    type: String,
+    trim: true
+  },
+  discountOverride: {
+    type: Boolean,
+    default: false
+  },
+  // Part of the discount that came from promotions on the lines
+  promotionDiscountLRD: {
+    type: Number,
+    default: 0
+  },
+  promotionDiscountUSD: {
+    type: Number,
+    default: 0
+  },
   subtotal: {
     type: Number,
     default: 0
@@ -81,6 +198,10 @@ const transactionSchema = new mongoose.Schema({
     type: Number, 
     default: 0
   },
+  // LRD per USD rate used to convert between currencies on this transaction
+  currencyRate: {
+    type: Number
+  },
   returnReason: {
     type: String,
     trim: true
@@ -89,10 +210,81 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Transaction'
   },
+  // Money handed back on a return and the currency it was paid out in. Returns
+  // against credit sales reduce the credit first (see creditAppliedLRD/USD) and
+  // only refund what the customer had already paid beyond the new balance.
+  refundCurrency: {
+    type: String,
+    enum: ['LRD', 'USD', null],
+    default: undefined
+  },
+  refundAmount: {
+    type: Number
+  },
+  creditAppliedLRD: {
+    type: Number
+  },
+  creditAppliedUSD: {
+    type: Number
+  },
+  // Set on a sale each time something is returned against it, so concurrent
+  // returns of the same sale conflict instead of both passing the quantity check
+  lastReturnAt: {
+    type: Date
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedByName: {
+    type: String,
+    trim: true
+  },
+  // Manager or admin who approved the void
+  voidApprovedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidApprovedByName: {
+    type: String,
+    trim: true
+  },
+  // Shift of the user who voided the sale; its drawer handed the cash back
+  voidShift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null
+  },
+  // Human-readable receipt number, e.g. MAIN-2026-000123: the store's receipt
+  // code, year and sequence (see utils/receipts).
+  // Restocks have none; transactions saved before numbering have none either.
+  receiptNumber: {
+    type: String,
+    trim: true
+  },
+  receiptYear: {
+    type: Number
+  },
+  receiptSequence: {
+    type: Number
+  },
   cashierId: {
     type: String,
     trim: true
   },
+  // Till session the transaction was taken in, when the cashier had one open
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null
+  },
   cashierName: {
     type: String,
     trim: true
@@ -102,6 +294,11 @@ const transactionSchema = new mongoose.Schema({
 
 // Create index for store and date for efficient querying of store transactions
 transactionSchema.index({ store: 1, date: -1 });
+transactionSchema.index({ originalTransaction: 1, type: 1 });
+transactionSchema.index({ shift: 1 });
+transactionSchema.index({ voidShift: 1 });
+transactionSchema.index({ receiptNumber: 1 }, { unique: true, sparse: true });
+transactionSchema.index({ store: 1, receiptYear: 1, receiptSequence: -1 });
 
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const TRANSFER_STATUSES = ['requested', 'dispatched', 'received', 'cancelled'];
+
+// Goods moved from one store to another. Stock leaves the source store when
+// the transfer is dispatched and arrives at the destination when received.
+const transferSchema = new mongoose.Schema({
+  fromStore: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  toStore: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: TRANSFER_STATUSES,
+    default: 'requested'
+  },
+  lines: {
+    type: [{
+      // Product in the source store
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+      productName: { type: String, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+      // Source product's average cost at dispatch, carried to the destination
+      unitCost: {
+        LRD: { type: Number },
+        USD: { type: Number }
+      },
+      // Matching { item, store } product at the destination, set on receipt
+      destinationProduct: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', default: null }
+    }],
+    validate: {
+      validator: (lines) => Array.isArray(lines) && lines.length > 0,
+      message: 'A transfer needs at least one line'
+    }
+  },
+  notes: { type: String, trim: true },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  requestedByName: { type: String },
+  dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  dispatchedByName: { type: String },
+  dispatchedAt: { type: Date },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  receivedByName: { type: String },
+  receivedAt: { type: Date },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledByName: { type: String },
+  cancelledAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+transferSchema.index({ fromStore: 1, status: 1, createdAt: -1 });
+transferSchema.index({ toStore: 1, status: 1, createdAt: -1 });
+
+transferSchema.pre('validate', function(next) {
+  if (this.fromStore && this.fromStore === this.toStore) {
+    this.invalidate('toStore', 'A transfer must go to a different store');
+  }
+  next();
+});
+
+transferSchema.statics.STATUSES = TRANSFER_STATUSES;
+
+const Transfer = mongoose.model('Transfer', transferSchema);
+
+module.exports = Transfer;
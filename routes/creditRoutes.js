@@ -1,6 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const creditController = require('../controllers/creditController');
+const { protect, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
+
+// All credit routes require a logged in user
+router.use(protect);
+
+// Credits are always scoped to the logged in user's store (admins may pick one)
+router.use(scopeStore);
 
 // Create a new credit
 router.post('/', creditController.createCredit);
@@ -11,6 +19,12 @@ router.post('/:id/pay', creditController.payCredit);
 // Get credit balance summary
 router.get('/balance', creditController.getCreditBalance);
 
+// Get aging report of unpaid credits (0-30, 31-60, 61-90, 90+ days)
+router.get('/aging', authorize('admin', 'manager'), creditController.getCreditAging);
+
+// Get overdue credits, oldest first
+router.get('/overdue', creditController.getOverdueCredits);
+
 // Get all credits
 router.get('/', creditController.getCredits);
 
@@ -20,6 +34,12 @@ router.get('/range', creditController.getCreditsByDateRange);
 // Get credits by customer name
 router.get('/customer', creditController.getCreditsByCustomer);
 
+// Get a customer's account statement (?from=&to=&currency=&format=json|pdf)
+router.get('/customer/:customer/statement', creditController.getCustomerStatement);
+
+// Set or clear the due date of a credit
+router.put('/:id/due-date', authorize('admin', 'manager'), creditController.updateCreditDueDate);
+
 // Get a specific credit
 router.get('/:id', creditController.getCreditById);
 
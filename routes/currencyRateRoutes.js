@@ -1,11 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const currencyRateController = require('../controllers/currencyRateController');
+const { protect, authorize } = require('../middleware/auth');
+
+router.use(protect);
 
 // Get current currency rate
 router.get('/', currencyRateController.getCurrentRate);
 
-// Update currency rate
-router.put('/', currencyRateController.updateRate);
+// Get rate history
+router.get('/history', currencyRateController.getRateHistory);
+
+// Get the rate in force on a date (?date=)
+router.get('/at', currencyRateController.getRateAt);
+
+// Update currency rate (and reprice USD-priced products in every store; dryRun previews)
+router.put('/', authorize('admin'), currencyRateController.updateRate);
+
+// Reprice products at the current rate (dry run unless dryRun: false)
+router.post('/reprice', authorize('admin', 'manager'), currencyRateController.repricePreview);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
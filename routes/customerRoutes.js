@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const customerController = require('../controllers/customerController');
+const { protect, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
+
+// All customer routes require a logged in user and are scoped to their store
+router.use(protect);
+router.use(scopeStore);
+
+// Create a new customer
+router.post('/', customerController.createCustomer);
+
+// Get customers (supports ?search=&page=&limit=)
+router.get('/', customerController.getCustomers);
+
+// Get a specific customer with outstanding balance
+router.get('/:id', customerController.getCustomerById);
+
+// Update a customer
+router.put('/:id', customerController.updateCustomer);
+
+// Delete a customer
+router.delete('/:id', authorize('admin', 'manager'), customerController.deleteCustomer);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const priceListController = require('../controllers/priceListController');
+const { protect, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
+
+// All price list routes require a logged in user and are scoped to their store
+router.use(protect);
+router.use(scopeStore);
+
+// Create a price list
+router.post('/', authorize('admin', 'manager'), priceListController.createPriceList);
+
+// Get price lists (supports ?active=)
+router.get('/', priceListController.getPriceLists);
+
+// Get the product prices on a list (supports ?search=&page=&limit=)
+router.get('/:id/prices', priceListController.getPriceListPrices);
+
+// Set product prices on a list
+router.put('/:id/prices', authorize('admin', 'manager'), priceListController.setPriceListPrices);
+
+// Get a specific price list
+router.get('/:id', priceListController.getPriceListById);
+
+// Update a price list
+router.put('/:id', authorize('admin', 'manager'), priceListController.updatePriceList);
+
+// Delete a price list
+router.delete('/:id', authorize('admin', 'manager'), priceListController.deletePriceList);
+
+module.exports = router;
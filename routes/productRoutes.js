@@ -1,37 +1,52 @@
 const express = require('express');
 const router = express.Router();
-const { createProduct, getProducts, getAllProducts, getProductById, updateProduct, deleteProduct, deleteAllProducts, getInventorySummary, bulkUpdateProducts } = require('../controllers/productController');
+const { createProduct, getProducts, getAllProducts, getProductById, updateProduct, deleteProduct, deleteAllProducts, getInventorySummary, getProductMovements, getReorderSuggestions, bulkUpdateProducts } = require('../controllers/productController');
+const { getCategorySettings, upsertCategorySetting, deleteCategorySetting } = require('../controllers/categorySettingController');
 const upload = require('../middleware/upload');
+const { protect, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
 
-// Product routes will be added here
+// All product routes require a logged in user
+router.use(protect);
 
 // Get inventory summary
-router.get('/summary', getInventorySummary);
+router.get('/summary', scopeStore, getInventorySummary);
 
-// Get all products
-router.get('/', getProducts);
+// Get all products (lowStock=true lists products at or below their reorder level)
+router.get('/', scopeStore, getProducts);
+
+// Get what to reorder based on recent sales
+router.get('/reorder-suggestions', authorize('admin', 'manager'), scopeStore, getReorderSuggestions);
+
+// Per-category reorder settings
+router.get('/category-settings', scopeStore, getCategorySettings);
+router.put('/category-settings/:category', authorize('admin', 'manager'), scopeStore, upsertCategorySetting);
+router.delete('/category-settings/:category', authorize('admin', 'manager'), scopeStore, deleteCategorySetting);
 
 
 
 // Create a new product with image upload
-router.post('/', upload.single('image'), createProduct);
+router.post('/', authorize('admin', 'manager'), upload.single('image'), scopeStore, createProduct);
 
 // Bulk update products from Excel upload
-router.post('/bulk-update', bulkUpdateProducts);
+router.post('/bulk-update', authorize('admin', 'manager'), scopeStore, bulkUpdateProducts);
 
 // Update a product with optional image upload
-router.put('/:id', upload.single('image'), updateProduct);
+router.put('/:id', authorize('admin', 'manager'), upload.single('image'), scopeStore, updateProduct);
 
 // Get all products for a store (for Excel download)
-router.get('/all', getAllProducts);
+router.get('/all', scopeStore, getAllProducts);
+
+// Get a product's stock movement history
+router.get('/:id/movements', scopeStore, getProductMovements);
 
 // Get a specific product
-router.get('/:id', getProductById);
+router.get('/:id', scopeStore, getProductById);
 
 // Delete all products for a store
-router.delete('/all', deleteAllProducts);
+router.delete('/all', authorize('admin'), scopeStore, deleteAllProducts);
 
 // Delete a product
-router.delete('/:id', deleteProduct);
+router.delete('/:id', authorize('admin', 'manager'), scopeStore, deleteProduct);
 
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const { protect, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
+
+// All promotion routes require a logged in user and are scoped to their store
+router.use(protect);
+router.use(scopeStore);
+
+// Create a promotion
+router.post('/', authorize('admin', 'manager'), promotionController.createPromotion);
+
+// Price a basket with the running promotions (must come before /:id)
+router.post('/preview', promotionController.previewPromotions);
+
+// Get promotions (supports ?current=true&type=&page=&limit=)
+router.get('/', promotionController.getPromotions);
+
+// Get a specific promotion
+router.get('/:id', promotionController.getPromotionById);
+
+// Update a promotion
+router.put('/:id', authorize('admin', 'manager'), promotionController.updatePromotion);
+
+// Delete a promotion
+router.delete('/:id', authorize('admin', 'manager'), promotionController.deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { protect, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
+
+// All purchase order routes require a logged in user and are scoped to their store
+router.use(protect);
+router.use(scopeStore);
+
+// Create a purchase order
+router.post('/', authorize('admin', 'manager'), purchaseOrderController.createPurchaseOrder);
+
+// Get purchase orders (supports ?status=&supplierId=&page=&limit=)
+router.get('/', purchaseOrderController.getPurchaseOrders);
+
+// Get orders still waiting for goods (must come before /:id)
+router.get('/open', purchaseOrderController.getOpenPurchaseOrders);
+
+// Get a specific purchase order
+router.get('/:id', purchaseOrderController.getPurchaseOrderById);
+
+// Update a purchase order
+router.put('/:id', authorize('admin', 'manager'), purchaseOrderController.updatePurchaseOrder);
+
+// Mark a draft order as sent
+router.post('/:id/send', authorize('admin', 'manager'), purchaseOrderController.sendPurchaseOrder);
+
+// Receive goods against an order
+router.post('/:id/receive', authorize('admin', 'manager'), purchaseOrderController.receivePurchaseOrder);
+
+// Close an order without receiving the rest
+router.post('/:id/close', authorize('admin', 'manager'), purchaseOrderController.closePurchaseOrder);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const shiftController = require('../controllers/shiftController');
+const { protect } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
+
+// All shift routes require a logged in user and are scoped to their store
+router.use(protect);
+router.use(scopeStore);
+
+// Open a shift with the opening float
+router.post('/open', shiftController.openShift);
+
+// Get the logged in user's open shift (must come before /:id)
+router.get('/current', shiftController.getCurrentShift);
+
+// Get shifts (supports ?status=&cashier=&page=&limit=)
+router.get('/', shiftController.getShifts);
+
+// Get a specific shift
+router.get('/:id', shiftController.getShiftById);
+
+// Close a shift with the counted cash
+router.post('/:id/close', shiftController.closeShift);
+
+// Get the Z-report for a shift
+router.get('/:id/z-report', shiftController.getShiftReport);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const stocktakeController = require('../controllers/stocktakeController');
+const { protect, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
+
+// All stocktake routes require a logged in user and are scoped to their store
+router.use(protect);
+router.use(scopeStore);
+
+// Start a stocktake (optionally for one compartment/shelve)
+router.post('/', authorize('admin', 'manager'), stocktakeController.createStocktake);
+
+// Get stocktakes (supports ?status=&page=&limit=)
+router.get('/', stocktakeController.getStocktakes);
+
+// Get a specific stocktake
+router.get('/:id', stocktakeController.getStocktakeById);
+
+// Record counted quantities or barcode scans
+router.post('/:id/counts', stocktakeController.submitCounts);
+
+// Get the variance report
+router.get('/:id/variance', stocktakeController.getVarianceReport);
+
+// Finish counting
+router.post('/:id/submit', stocktakeController.submitStocktake);
+
+// Post the adjustments to stock
+router.post('/:id/approve', authorize('admin', 'manager'), stocktakeController.approveStocktake);
+
+// Abandon a stocktake
+router.post('/:id/cancel', authorize('admin', 'manager'), stocktakeController.cancelStocktake);
+
+module.exports = router;
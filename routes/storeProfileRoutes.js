@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { getStoreProfile, updateStoreProfile } = require('../controllers/storeProfileController');
+const { protect, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
+
+// All store profile routes require a logged in user and are scoped to their store
+router.use(protect);
+router.use(scopeStore);
+
+// Get the store's receipt profile
+router.get('/', getStoreProfile);
+
+// Update the store's receipt profile
+router.put('/', authorize('admin', 'manager'), updateStoreProfile);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplierController');
+const { protect, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
+
+// All supplier routes require a logged in user and are scoped to their store
+router.use(protect);
+router.use(scopeStore);
+
+// Create a new supplier
+router.post('/', authorize('admin', 'manager'), supplierController.createSupplier);
+
+// Get suppliers (supports ?search=&page=&limit=)
+router.get('/', supplierController.getSuppliers);
+
+// Get a specific supplier
+router.get('/:id', supplierController.getSupplierById);
+
+// Update a supplier
+router.put('/:id', authorize('admin', 'manager'), supplierController.updateSupplier);
+
+// Delete a supplier
+router.delete('/:id', authorize('admin', 'manager'), supplierController.deleteSupplier);
+
+module.exports = router;
@@ -1,14 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const { pushToOnline, pullFromOnline } = require('../controllers/syncController'); // Added pullFromOnline
+const { protect, authorize } = require('../middleware/auth');
+
+// Syncing copies every store's data, so it is restricted to admins.
+// EventSource clients pass the session token as ?token=
+router.use(protect, authorize('admin'));
 
 // POST /api/sync/push-to-online
-// Body: { username: "adminUsername", store: "adminStore" }
 router.post('/push-to-online', pushToOnline);
 router.get('/push-to-online', pushToOnline); // For SSE during push
 
 // GET /api/sync/pull-from-online
-// Potentially, query params for storeId if needed, or derive from authenticated user
+// Optional ?type=products to pull the product catalogue instead of transactions/credits
 router.get('/pull-from-online', pullFromOnline); // For SSE during pull
 
 module.exports = router;
@@ -1,34 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const transactionController = require('../controllers/transactionController');
+const { protect, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
 console.log('[TransactionRoutes.js] Imported transactionController:', typeof transactionController);
 console.log('[TransactionRoutes.js] transactionController.createTransaction type:', typeof transactionController.createTransaction);
 
+// All transaction routes require a logged in user
+router.use(protect);
+
 // Create a new transaction
-router.post('/', transactionController.createTransaction);
+router.post('/', scopeStore, transactionController.createTransaction);
 
 // Create a return transaction
-router.post('/return', transactionController.createReturnTransaction);
+router.post('/return', scopeStore, transactionController.createReturnTransaction);
+
+// Receive goods into stock
+router.post('/restock', authorize('admin', 'manager'), scopeStore, transactionController.createRestockTransaction);
+
+// Void a sale or credit sale (cashiers need a manager's approval)
+router.post('/:id/void', scopeStore, transactionController.voidTransaction);
 
-// Get all transactions
-router.get('/', transactionController.getTransactions);
+// Get all transactions (supports ?receipt= to search by receipt number)
+router.get('/', scopeStore, transactionController.getTransactions);
 
 // Get transactions by date range
-router.get('/range', transactionController.getTransactionsByDateRange);
+router.get('/range', scopeStore, transactionController.getTransactionsByDateRange);
 
 // Get sales report (daily/weekly/monthly/yearly)
-router.get('/report', transactionController.getSalesReport);
+router.get('/report', authorize('admin', 'manager'), scopeStore, transactionController.getSalesReport);
 
 // Get top selling products
-router.get('/top-products', transactionController.getTopProducts);
+router.get('/top-products', authorize('admin', 'manager'), scopeStore, transactionController.getTopProducts);
+
+// Get manual discounts given, by cashier and approver
+router.get('/discounts', authorize('admin', 'manager'), scopeStore, transactionController.getDiscountReport);
 
 // Get transactions by product and store (must come before /:id)
-router.get('/product/:productId/:store', transactionController.getTransactionsByProduct);
+router.get('/product/:productId/:store', scopeStore, transactionController.getTransactionsByProduct);
+
+// Get a transaction by its receipt number (must come before /:id)
+router.get('/receipt/:receiptNumber', scopeStore, transactionController.getTransactionByReceiptNumber);
 
 // Get transactions by date (must come before /:id)
-router.get('/date/:date', transactionController.getTransactionsByDate);
+router.get('/date/:date', scopeStore, transactionController.getTransactionsByDate);
+
+// Get a printable receipt or credit invoice (?format=html|text|escpos|pdf&paper=58|80)
+router.get('/:id/receipt', scopeStore, transactionController.getTransactionReceipt);
 
 // Get a specific transaction (must come last)
-router.get('/:id', transactionController.getTransactionById);
+router.get('/:id', scopeStore, transactionController.getTransactionById);
 
 module.exports = router;
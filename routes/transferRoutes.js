@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const transferController = require('../controllers/transferController');
+const { protect, authorize } = require('../middleware/auth');
+const { scopeStore } = require('../middleware/storeScope');
+
+// All transfer routes require a logged in user and are scoped to their store
+router.use(protect);
+router.use(scopeStore);
+
+// Request a transfer to or from the store
+router.post('/', authorize('admin', 'manager'), transferController.createTransfer);
+
+// Get transfers (supports ?status=&direction=in|out&page=&limit=)
+router.get('/', transferController.getTransfers);
+
+// Get a specific transfer
+router.get('/:id', transferController.getTransferById);
+
+// Send the goods from the source store
+router.post('/:id/dispatch', authorize('admin', 'manager'), transferController.dispatchTransfer);
+
+// Take delivery at the destination store
+router.post('/:id/receive', authorize('admin', 'manager'), transferController.receiveTransfer);
+
+// Cancel a transfer that has not been dispatched
+router.post('/:id/cancel', authorize('admin', 'manager'), transferController.cancelTransfer);
+
+module.exports = router;
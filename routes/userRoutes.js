@@ -3,26 +3,35 @@ const router = express.Router();
 const { 
   registerUser, 
   loginUser, 
+  getCurrentUser,
   getUsers, 
   updateUserType, 
   getStores,
   changePassword,
   deleteUser,
   getUsersByStore,
-  deleteStore
+  deleteStore,
+  getStoreAccessLogs
 } = require('../controllers/userController');
+const { protect, authorize, adminOrFirstUser } = require('../middleware/auth');
 
-// Public routes
-router.post('/register', registerUser);
+// Public routes (used by the login screen)
 router.post('/login', loginUser);
 router.get('/stores', getStores);
 router.get('/stores/:store/users', getUsersByStore);
 
-// Protected routes (should be admin only)
-router.get('/users', getUsers);
-router.put('/users/:userId/type', updateUserType);
-router.put('/users/:userId/password', changePassword);
-router.delete('/users/:userId', deleteUser);
-router.delete('/stores/:store', deleteStore);
+// Open for the very first account, admin only afterwards
+router.post('/register', adminOrFirstUser, registerUser);
+
+// Any logged in user
+router.get('/me', protect, getCurrentUser);
+router.put('/users/:userId/password', protect, changePassword);
+
+// Admin only routes
+router.get('/users', protect, authorize('admin'), getUsers);
+router.put('/users/:userId/type', protect, authorize('admin'), updateUserType);
+router.delete('/users/:userId', protect, authorize('admin'), deleteUser);
+router.delete('/stores/:store', protect, authorize('admin'), deleteStore);
+router.get('/store-access-logs', protect, authorize('admin'), getStoreAccessLogs);
 
 module.exports = router;
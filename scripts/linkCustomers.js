@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/*
+Links existing credits and credit-sale transactions to Customer records.
+
+Usage:
+  node scripts/linkCustomers.js [--dry-run]
+  npm run migrate:customers -- --dry-run
+
+Every distinct { store, normalized customerName } becomes one Customer
+(lower-cased, trimmed, inner whitespace collapsed), so "John Doe" and
+"john doe " end up as the same customer. Safe to re-run: records that
+already have a customerId are left alone.
+*/
+
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Customer = require('../models/Customer');
+const Credit = require('../models/Credit');
+const Transaction = require('../models/Transaction');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function linkCollection(Model, label, customerCache, stats) {
+  const docs = await Model.find({
+    customerName: { $exists: true, $nin: [null, ''] },
+    $or: [{ customerId: null }, { customerId: { $exists: false } }]
+  }).select('_id store customerName').lean();
+
+  console.log(`Found ${docs.length} unlinked ${label}`);
+
+  for (const doc of docs) {
+    const normalizedName = Customer.normalizeName(doc.customerName);
+    if (!normalizedName) {
+      continue;
+    }
+
+    const key = `${doc.store}::${normalizedName}`;
+    let customerId = customerCache.get(key);
+
+    if (!customerId) {
+      let customer = await Customer.findOne({ store: doc.store, normalizedName });
+      if (!customer) {
+        stats.customersCreated++;
+        if (dryRun) {
+          console.log(`[dry-run] Would create customer "${doc.customerName.trim()}" in store ${doc.store}`);
+          customer = { _id: new mongoose.Types.ObjectId() };
+        } else {
+          customer = await Customer.create({ name: doc.customerName, store: doc.store });
+          console.log(`Created customer "${customer.name}" in store ${doc.store}`);
+        }
+      }
+      customerId = customer._id;
+      customerCache.set(key, customerId);
+    }
+
+    if (!dryRun) {
+      await Model.updateOne({ _id: doc._id }, { $set: { customerId } });
+    }
+    stats[label]++;
+  }
+}
+
+async function linkCustomers() {
+  const stats = { customersCreated: 0, credits: 0, transactions: 0 };
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Make sure the unique { store, normalizedName } index exists before inserting
+    if (!dryRun) {
+      await Customer.syncIndexes();
+    }
+
+    const customerCache = new Map();
+    await linkCollection(Credit, 'credits', customerCache, stats);
+    await linkCollection(Transaction, 'transactions', customerCache, stats);
+
+    console.log(`${dryRun ? '[dry-run] ' : ''}Customers created: ${stats.customersCreated}, credits linked: ${stats.credits}, transactions linked: ${stats.transactions}`);
+  } catch (error) {
+    console.error('Error linking customers:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+linkCustomers();
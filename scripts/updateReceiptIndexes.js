@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const ReceiptCounter = require('../models/ReceiptCounter');
+const StoreProfile = require('../models/StoreProfile');
+require('dotenv').config();
+
+// Number receipts per store and year: merges any per-database counters into
+// one { store, year } counter, makes receipt numbers unique and lists the
+// stores that still need a receipt code. Receipt numbers already issued twice
+// are listed and must be renumbered by hand before the unique index can be built.
+async function updateReceiptIndexes() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const duplicates = await Transaction.aggregate([
+      { $match: { receiptNumber: { $exists: true, $ne: null } } },
+      { $group: { _id: '$receiptNumber', count: { $sum: 1 }, transactions: { $push: '$_id' } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+    if (duplicates.length > 0) {
+      console.error(`${duplicates.length} receipt numbers are used more than once:`);
+      duplicates.forEach(duplicate => console.error(`  ${duplicate._id}: ${duplicate.transactions.join(', ')}`));
+      console.error('Renumber these transactions, then run this script again.');
+      return;
+    }
+
+    // Counters kept per database carried a device code; keep the highest
+    // sequence of each store and year
+    const deviceCounters = await ReceiptCounter.collection.aggregate([
+      { $match: { device: { $exists: true } } },
+      { $group: { _id: { store: '$store', year: '$year' }, seq: { $max: '$seq' } } }
+    ]).toArray();
+    if (deviceCounters.length > 0) {
+      console.log(`Merging receipt counters of ${deviceCounters.length} store years`);
+      await ReceiptCounter.collection.deleteMany({ device: { $exists: true } });
+      for (const counter of deviceCounters) {
+        await ReceiptCounter.collection.updateOne(
+          { store: counter._id.store, year: counter._id.year },
+          { $max: { seq: counter.seq } },
+          { upsert: true }
+        );
+      }
+    }
+
+    for (const Model of [ReceiptCounter, StoreProfile]) {
+      const dropped = await Model.syncIndexes();
+      console.log(`${Model.modelName} indexes synced${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+    }
+
+    // The old receipt number index has the same name but is not unique, and
+    // the sequence index no longer includes the device code
+    const transactionIndexes = await Transaction.collection.indexes();
+    const oldIndexes = transactionIndexes.filter(index =>
+      (index.name === 'receiptNumber_1' && !index.unique) || index.name === 'store_1_receiptDevice_1_receiptYear_1_receiptSequence_-1'
+    );
+    for (const index of oldIndexes) {
+      console.log(`Dropping old receipt index ${index.name}`);
+      await Transaction.collection.dropIndex(index.name);
+    }
+    await Transaction.createIndexes();
+    console.log('Transaction indexes created');
+
+    const stores = await Transaction.distinct('store');
+    const coded = await StoreProfile.distinct('store', { receiptCode: { $exists: true, $ne: null } });
+    const uncoded = stores.filter(store => !coded.includes(store));
+    if (uncoded.length > 0) {
+      console.warn(`Set a receipt code on the profile of these stores before they take sales: ${uncoded.join(', ')}`);
+    }
+
+    console.log('Receipt index update completed successfully');
+  } catch (error) {
+    console.error('Error updating receipt indexes:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+  }
+}
+
+updateReceiptIndexes();
@@ -17,6 +17,7 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const { redactSecrets } = require('./utils/redact');
 
 // Import Mongoose models to ensure they are registered
 require('./models/Product');
@@ -24,12 +25,34 @@ require('./models/Transaction');
 require('./models/User');
 require('./models/CurrencyRate');
 require('./models/Credit');
+require('./models/StoreAccessLog');
+require('./models/Customer');
+require('./models/StockMovement');
+require('./models/Supplier');
+require('./models/PurchaseOrder');
+require('./models/CategorySetting');
+require('./models/Transfer');
+require('./models/Stocktake');
+require('./models/Shift');
+require('./models/ReceiptCounter');
+require('./models/StoreProfile');
+require('./models/Promotion');
+require('./models/PriceList');
 const productRoutes = require('./routes/productRoutes');
 const transactionRoutes = require('./routes/transactionRoutes');
 const userRoutes = require('./routes/userRoutes');
 const currencyRateRoutes = require('./routes/currencyRateRoutes');
 const creditRoutes = require('./routes/creditRoutes');
 const syncRoutes = require('./routes/syncRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const transferRoutes = require('./routes/transferRoutes');
+const stocktakeRoutes = require('./routes/stocktakeRoutes');
+const shiftRoutes = require('./routes/shiftRoutes');
+const storeProfileRoutes = require('./routes/storeProfileRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const priceListRoutes = require('./routes/priceListRoutes');
 
 
   const app = express();
@@ -42,7 +65,8 @@ const syncRoutes = require('./routes/syncRoutes');
 
   // General Request Logger Middleware
   app.use((req, res, next) => {
-    console.log(`[Server.js General Logger] Received: ${req.method} ${req.originalUrl}`);
+    // Keep session tokens passed to SSE routes out of the logs
+    console.log(`[Server.js General Logger] Received: ${req.method} ${req.originalUrl.replace(/token=[^&]+/, 'token=[redacted]')}`);
     next();
   });
 
@@ -78,9 +102,9 @@ const syncRoutes = require('./routes/syncRoutes');
   // Specific Logger for /api/transactions, placed before the transactionRoutes handler
   app.use('/api/transactions', (req, res, next) => {
     console.log(`[Server.js Transactions Logger] Path: ${req.path}, Method: ${req.method}, URL: ${req.originalUrl}`);
-    console.log('[Server.js Transactions Logger] Headers:', JSON.stringify(req.headers, null, 2));
+    console.log('[Server.js Transactions Logger] Headers:', JSON.stringify(redactSecrets(req.headers), null, 2));
     // req.body should be populated here if express.json() has run and Content-Type was correct
-    console.log('[Server.js Transactions Logger] Body:', JSON.stringify(req.body, null, 2)); 
+    console.log('[Server.js Transactions Logger] Body:', JSON.stringify(redactSecrets(req.body), null, 2));
     next();
   });
   app.use('/api/transactions', transactionRoutes);
@@ -88,6 +112,15 @@ const syncRoutes = require('./routes/syncRoutes');
   app.use('/api/currency-rate', currencyRateRoutes);
   app.use('/api/credits', creditRoutes);
   app.use('/api/sync', syncRoutes);
+  app.use('/api/customers', customerRoutes);
+  app.use('/api/suppliers', supplierRoutes);
+  app.use('/api/purchase-orders', purchaseOrderRoutes);
+  app.use('/api/transfers', transferRoutes);
+  app.use('/api/stocktakes', stocktakeRoutes);
+  app.use('/api/shifts', shiftRoutes);
+  app.use('/api/store-profile', storeProfileRoutes);
+  app.use('/api/promotions', promotionRoutes);
+  app.use('/api/price-lists', priceListRoutes);
 
   // Health check endpoint (critical for Electron integration)
   app.get('/api/health', (req, res) => {
@@ -0,0 +1,41 @@
+const User = require('../models/User');
+const { HttpError } = require('./errors');
+
+const APPROVER_TYPES = ['admin', 'manager'];
+
+// Check credentials entered at the till by a manager of `store` (or an admin)
+// and return the approving user
+const findApproverByCredentials = async (store, { approverUsername, approverPassword } = {}) => {
+  if (!approverUsername || !approverPassword) {
+    throw new HttpError(403, 'A manager must approve this action');
+  }
+
+  // The same username can exist in several stores
+  const candidates = await User.find({
+    username: approverUsername,
+    $or: [{ store }, { userType: 'admin' }]
+  });
+  const approver = candidates.find(candidate =>
+    APPROVER_TYPES.includes(candidate.userType) && candidate.comparePassword(approverPassword)
+  );
+  if (!approver) {
+    throw new HttpError(403, 'Approver credentials are not valid for this store');
+  }
+  return approver;
+};
+
+// Work out who approves an action at `store`. Managers and admins approve
+// their own actions; anyone else needs a manager of that store (or an admin)
+// to enter their username and password at the till.
+const resolveApprover = async (user, store, credentials = {}) => {
+  if (APPROVER_TYPES.includes(user.userType) && (user.userType === 'admin' || user.store === store)) {
+    return user;
+  }
+  return findApproverByCredentials(store, credentials);
+};
+
+module.exports = {
+  APPROVER_TYPES,
+  findApproverByCredentials,
+  resolveApprover
+};
@@ -0,0 +1,72 @@
+const Customer = require('../models/Customer');
+const Credit = require('../models/Credit');
+const { HttpError } = require('./errors');
+const { roundMoney } = require('./money');
+
+// Find the customer a credit sale is for: by id when the till picked one,
+// otherwise by normalized name, creating the record the first time a name is seen.
+const resolveCreditCustomer = async ({ customerId, customerName, store }, session) => {
+  if (customerId) {
+    const customer = await Customer.findOne({ _id: customerId, store }).session(session);
+    if (!customer) {
+      throw new HttpError(404, 'Customer not found');
+    }
+    return customer;
+  }
+
+  const normalizedName = Customer.normalizeName(customerName);
+  if (!normalizedName) {
+    throw new HttpError(400, 'Customer name is required');
+  }
+
+  let customer = await Customer.findOne({ store, normalizedName }).session(session);
+  if (!customer) {
+    customer = new Customer({ name: customerName, store });
+    await customer.save({ session });
+  }
+  return customer;
+};
+
+// Total still owed by a customer across all unpaid credits, in both currencies
+const getCustomerOutstanding = async (customerId, session = null) => {
+  const credits = await Credit.find({
+    customerId,
+    status: { $in: ['pending', 'partially_paid'] }
+  }).session(session);
+
+  return credits.reduce((acc, credit) => {
+    const outstanding = credit.getOutstanding();
+    acc.LRD += outstanding.LRD;
+    acc.USD += outstanding.USD;
+    return acc;
+  }, { LRD: 0, USD: 0 });
+};
+
+// Refuse a credit sale of `amount` ({ LRD, USD }) that would take the customer
+// over their credit limit. Must run inside the checkout transaction.
+const assertWithinCreditLimit = async (customer, amount, session) => {
+  const outstanding = await getCustomerOutstanding(customer._id, session);
+
+  // Writing to the customer makes concurrent credit sales for the same
+  // customer conflict, so the loser is retried and sees the new balance
+  customer.lastCreditAt = new Date();
+  await customer.save({ session });
+
+  if (customer.creditLimit === null || customer.creditLimit === undefined) {
+    return;
+  }
+
+  const currency = customer.creditLimitCurrency || 'LRD';
+  const projected = outstanding[currency] + (amount[currency] || 0);
+  if (projected > customer.creditLimit + 0.005) {
+    throw new HttpError(400, `Credit limit exceeded for ${customer.name}: ` +
+      `${roundMoney(outstanding[currency])} ${currency} outstanding plus this sale of ${roundMoney(amount[currency])} ${currency} ` +
+      `is over the limit of ${customer.creditLimit} ${currency}`);
+  }
+};
+
+module.exports = {
+  resolveCreditCustomer,
+  getCustomerOutstanding,
+  assertWithinCreditLimit
+};
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Run fn(session) inside a MongoDB transaction: every write made with the
+// session commits together or not at all. The driver retries fn on transient
+// errors, so it must not rely on state left over from a previous attempt.
+// Transactions need MongoDB running as a replica set (Atlas always is).
+const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction
+};
@@ -0,0 +1,54 @@
+const { HttpError } = require('./errors');
+const { findApproverByCredentials } = require('./approval');
+
+// Largest manual discount each role may give on a sale, as a percentage of
+// the sale after promotions. Set with DISCOUNT_CAP_EMPLOYEE, _MANAGER, _ADMIN.
+const readCap = (value, fallback) => {
+  const cap = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(cap) && cap >= 0 ? Math.min(cap, 100) : fallback;
+};
+
+const DISCOUNT_CAPS = {
+  employee: readCap(process.env.DISCOUNT_CAP_EMPLOYEE, 5),
+  manager: readCap(process.env.DISCOUNT_CAP_MANAGER, 20),
+  admin: readCap(process.env.DISCOUNT_CAP_ADMIN, 100)
+};
+
+const getDiscountCap = (userType) => DISCOUNT_CAPS[userType] || 0;
+
+// The cashier's discount as a percentage of the sale after promotions
+const getManualDiscountPercent = (totals) => {
+  const base = totals.subtotalLRD - totals.promotionDiscountLRD;
+  return base > 0 ? Math.round(totals.manualDiscountLRD / base * 10000) / 100 : 0;
+};
+
+// Check the cashier may give the sale's manual discount. Over their cap, a
+// manager or admin whose own cap covers it must enter their credentials
+// (approverUsername/approverPassword). Returns the discount percentage and the
+// user it was approved by (null when there is no manual discount).
+const authorizeDiscount = async (user, store, totals, credentials = {}) => {
+  const percent = getManualDiscountPercent(totals);
+  if (totals.manualDiscountLRD <= 0 && totals.manualDiscountUSD <= 0) {
+    return { percent: 0, approvedBy: null, override: false };
+  }
+
+  if (percent <= getDiscountCap(user.userType) + 0.005) {
+    return { percent, approvedBy: user, override: false };
+  }
+
+  if (!credentials.approverUsername) {
+    throw new HttpError(403, `Discounts over ${getDiscountCap(user.userType)}% need a manager's approval`);
+  }
+  const approver = await findApproverByCredentials(store, credentials);
+  if (percent > getDiscountCap(approver.userType) + 0.005) {
+    throw new HttpError(403, `${approver.username} can only approve discounts up to ${getDiscountCap(approver.userType)}%`);
+  }
+  return { percent, approvedBy: approver, override: true };
+};
+
+module.exports = {
+  DISCOUNT_CAPS,
+  getDiscountCap,
+  getManualDiscountPercent,
+  authorizeDiscount
+};
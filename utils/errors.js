@@ -0,0 +1,14 @@
+// Error carrying an HTTP status. Thrown from code running inside a database
+// transaction so the transaction aborts and the controller can still answer
+// with the right status code.
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = {
+  HttpError
+};
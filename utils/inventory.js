@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Transaction = require('../models/Transaction');
+const StockMovement = require('../models/StockMovement');
+const { HttpError } = require('./errors');
+const { getUnitPrices, getUnitCosts, getPiecesPerUnit, getTierUnitPrices, getPricePerPiece } = require('./pricing');
+const { roundMoney } = require('./money');
+
+const COST_CURRENCIES = ['LRD', 'USD'];
+
+// Build a ledger entry for `product` (as it is after the change).
+// `context` carries the reason, the document that caused it and the user:
+//   { reason, referenceType, referenceId, user, note }
+const buildStockMovement = (product, delta, context = {}) => ({
+  product: product._id,
+  productName: product.item,
+  store: product.store,
+  delta,
+  balanceAfter: product.pieces,
+  reason: context.reason,
+  referenceType: context.referenceType || null,
+  referenceId: context.referenceId || null,
+  user: context.user ? context.user._id : undefined,
+  userName: context.user ? context.user.username : undefined,
+  note: context.note
+});
+
+// Append movements to the stock ledger. Entries with no change are skipped.
+const recordStockMovements = async (movements, session = null) => {
+  const entries = movements.filter(movement => movement && movement.delta !== 0);
+  if (entries.length === 0) {
+    return [];
+  }
+  return StockMovement.insertMany(entries, { session });
+};
+
+// Record the difference between a product before and after an edit that set
+// its stock level outright (manual edits, Excel imports).
+const recordStockChange = async (before, after, context, session = null) => {
+  const delta = (Number(after.pieces) || 0) - (Number(before ? before.pieces : 0) || 0);
+  return recordStockMovements([buildStockMovement(after, delta, context)], session);
+};
+
+// Take quantities out of stock. Each decrement only matches while enough
+// pieces remain, so two tills selling the last unit cannot both succeed.
+// Returns [{ product, quantity }] with the product as it is after the change.
+// `movement` is the ledger context (see buildStockMovement).
+const takeFromStock = async (items, store, session, movement) => {
+  const taken = [];
+  const movements = [];
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new HttpError(400, `Invalid quantity for product ${item.product}`);
+    }
+
+    const product = await Product.findOneAndUpdate(
+      { _id: item.product, store, pieces: { $gte: quantity } },
+      { $inc: { pieces: -quantity } },
+      { new: true, session }
+    );
+
+    if (!product) {
+      // Work out why the conditional update did not match
+      const existing = await Product.findOne({ _id: item.product, store }).session(session);
+      if (!existing) {
+        throw new HttpError(404, `Product ${item.product} not found in store ${store}`);
+      }
+      throw new HttpError(400, `Insufficient quantity for product ${existing.item}`);
+    }
+
+    movements.push(buildStockMovement(product, -quantity, movement));
+    taken.push({ product, quantity });
+  }
+
+  await recordStockMovements(movements, session);
+  return taken;
+};
+
+// Take sold quantities out of stock as part of a checkout. Items are
+// { product, quantity, unit } with the quantity in the unit sold (pieces
+// unless `unit` is 'carton'). Returns the sold lines in pieces, enriched with
+// the product name and its price at sale in both currencies at `rate`, taken
+// from `priceList` (retail when null, see getTierUnitPrices).
+const decrementStock = async (items, store, session, rate, movement = { reason: 'sale' }, priceList = null) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'At least one product must be sold');
+  }
+
+  // Cartons come out of stock as the pieces in them
+  const pieceItems = [];
+  for (const item of items) {
+    const unit = item.unit || 'piece';
+    let piecesPerUnit = 1;
+    if (unit !== 'piece') {
+      const product = await Product.findOne({ _id: item.product, store }).select('item cts').session(session);
+      if (!product) {
+        throw new HttpError(404, `Product ${item.product} not found in store ${store}`);
+      }
+      piecesPerUnit = getPiecesPerUnit(product, unit);
+    }
+    pieceItems.push({
+      product: item.product,
+      quantity: Number(item.quantity) * piecesPerUnit,
+      unit,
+      unitQuantity: Number(item.quantity),
+      piecesPerUnit
+    });
+  }
+
+  const taken = await takeFromStock(pieceItems, store, session, movement);
+  return taken.map(({ product, quantity }, index) => {
+    const { unit, unitQuantity, piecesPerUnit } = pieceItems[index];
+    const unitPrice = getTierUnitPrices(product, priceList, unit, rate);
+    return {
+      product: product._id,
+      quantity,
+      unit,
+      unitQuantity,
+      unitPrice,
+      productName: product.item,
+      category: product.category,
+      priceAtSale: getPricePerPiece(unitPrice, piecesPerUnit),
+      costAtSale: getUnitCosts(product, rate)
+    };
+  });
+};
+
+// Update pipeline that adds `quantity` pieces and folds their cost into the
+// product's weighted average cost. Stock below zero is treated as none, and a
+// product without a cost simply takes the received cost. Without a unitCost
+// only the stock level changes.
+const receiveUpdate = (quantity, unitCost) => {
+  if (!unitCost) {
+    return [{ $set: { pieces: { $add: [{ $ifNull: ['$pieces', 0] }, quantity] } } }];
+  }
+
+  const onHand = { $max: [{ $ifNull: ['$pieces', 0] }, 0] };
+  const averageCost = (field, cost) => ({
+    $cond: [
+      { $and: [{ $gt: [onHand, 0] }, { $isNumber: `$${field}` }] },
+      {
+        $round: [{
+          $divide: [
+            { $add: [{ $multiply: [onHand, `$${field}`] }, quantity * cost] },
+            { $add: [onHand, quantity] }
+          ]
+        }, 4]
+      },
+      cost
+    ]
+  });
+
+  return [{
+    $set: {
+      costLRD: averageCost('costLRD', unitCost.LRD),
+      costUSD: averageCost('costUSD', unitCost.USD),
+      pieces: { $add: [{ $ifNull: ['$pieces', 0] }, quantity] }
+    }
+  }];
+};
+
+// Put received goods into stock (restocks, purchase order deliveries).
+// `items` are { product, quantity, unitCost } with unitCost in `costCurrency`;
+// the cost is kept in both currencies at `rate` and folded into the product's
+// weighted average cost.
+// Returns the received lines with the product's current selling price.
+// With requireCost false, lines whose unitCost is null leave the average cost alone.
+const receiveStock = async (items, store, session, { rate, costCurrency = 'LRD', movement = { reason: 'restock' }, requireCost = true }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, 'At least one product must be received');
+  }
+  if (!COST_CURRENCIES.includes(costCurrency)) {
+    throw new HttpError(400, 'Cost currency must be LRD or USD');
+  }
+
+  const lines = [];
+  const movements = [];
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new HttpError(400, `Invalid quantity for product ${item.product}`);
+    }
+    const hasCost = item.unitCost !== undefined && item.unitCost !== null;
+    const unitCost = Number(item.unitCost);
+    if ((requireCost && !hasCost) || (hasCost && (!Number.isFinite(unitCost) || unitCost < 0))) {
+      throw new HttpError(400, `Invalid unit cost for product ${item.product}`);
+    }
+
+    const lineCost = hasCost ? {
+      LRD: roundMoney(costCurrency === 'LRD' ? unitCost : unitCost * rate),
+      USD: roundMoney(costCurrency === 'USD' ? unitCost : unitCost / rate)
+    } : undefined;
+
+    // Stock and average cost are updated in one atomic pipeline update
+    const product = await Product.findOneAndUpdate(
+      { _id: item.product, store },
+      receiveUpdate(quantity, lineCost),
+      { new: true, session }
+    );
+    if (!product) {
+      throw new HttpError(404, `Product ${item.product} not found in store ${store}`);
+    }
+
+    movements.push(buildStockMovement(product, quantity, movement));
+
+    // Products without a selling price yet can still be received
+    let priceAtSale = { LRD: 0, USD: 0 };
+    if (typeof product.priceLRD === 'number' || typeof product.priceUSD === 'number') {
+      priceAtSale = getUnitPrices(product, rate);
+    }
+
+    lines.push({
+      product: product._id,
+      quantity,
+      productName: product.item,
+      priceAtSale,
+      unitCost: lineCost
+    });
+  }
+
+  await recordStockMovements(movements, session);
+  return lines;
+};
+
+// Receive goods and record them as a restock transaction, with the ledger
+// entries pointing at it. Must run inside runInTransaction.
+// details: { items, store, rate, costCurrency, supplierReference, supplierName, purchaseOrder, user }
+const createRestock = async (details, session) => {
+  const { items, store, rate, costCurrency = 'LRD', supplierReference, supplierName, purchaseOrder, user } = details;
+  const transactionId = new mongoose.Types.ObjectId();
+
+  const lines = await receiveStock(items, store, session, {
+    rate,
+    costCurrency,
+    movement: {
+      reason: 'restock',
+      referenceType: 'Transaction',
+      referenceId: transactionId,
+      user,
+      note: supplierReference
+    }
+  });
+
+  // Totals of a restock are what the goods cost, not what they sell for
+  const restock = new Transaction({
+    _id: transactionId,
+    type: 'restock',
+    productsSold: lines, // Reusing productsSold field for received products
+    currency: costCurrency,
+    store,
+    totalLRD: roundMoney(lines.reduce((acc, line) => acc + line.unitCost.LRD * line.quantity, 0)),
+    totalUSD: roundMoney(lines.reduce((acc, line) => acc + line.unitCost.USD * line.quantity, 0)),
+    currencyRate: rate,
+    supplierReference,
+    supplierName,
+    purchaseOrder: purchaseOrder || null,
+    cashierId: user._id.toString(),
+    cashierName: user.username
+  });
+  await restock.save({ session });
+  return restock;
+};
+
+module.exports = {
+  buildStockMovement,
+  recordStockMovements,
+  recordStockChange,
+  takeFromStock,
+  decrementStock,
+  receiveStock,
+  createRestock
+};
@@ -0,0 +1,6 @@
+// Round a currency amount to cents to avoid floating point drift in totals
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+module.exports = {
+  roundMoney
+};
@@ -0,0 +1,38 @@
+const PriceList = require('../models/PriceList');
+const { HttpError } = require('./errors');
+const { resolveApprover } = require('./approval');
+
+// The price list a sale at `store` is priced from: the one picked at the
+// till, else the customer's own, else none (retail prices). A customer whose
+// list has since been deactivated is charged retail.
+const resolvePriceList = async ({ priceListId, customer, store }, session = null) => {
+  const id = priceListId || (customer && customer.priceList);
+  if (!id) {
+    return null;
+  }
+
+  const priceList = await PriceList.findOne({ _id: id, store, active: true }).session(session);
+  if (!priceList && priceListId) {
+    throw new HttpError(404, 'Price list not found');
+  }
+  return priceList;
+};
+
+// Price a checkout: the customer's own list needs no approval, but any other
+// list picked at the till does, as it can take more off than the cashier's
+// discount limit (see utils/discounts). Managers and admins approve their own
+// sales; cashiers need a manager's credentials (approverUsername/approverPassword).
+// Returns the price list and the user who approved picking it, if anyone had to.
+const resolveCheckoutPriceList = async ({ priceListId, customer, store, user, credentials }, session = null) => {
+  const priceList = await resolvePriceList({ priceListId, customer, store }, session);
+  const assigned = customer && customer.priceList;
+  if (!priceListId || (assigned && String(assigned) === String(priceListId))) {
+    return { priceList, approvedBy: null };
+  }
+  return { priceList, approvedBy: await resolveApprover(user, store, credentials) };
+};
+
+module.exports = {
+  resolvePriceList,
+  resolveCheckoutPriceList
+};
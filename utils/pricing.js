@@ -0,0 +1,234 @@
+const { HttpError } = require('./errors');
+const { roundMoney } = require('./money');
+
+// How far a client-computed figure may drift from the server's before it is rejected
+const TOLERANCE = { LRD: 1, USD: 0.01 };
+
+const isPrice = (value) => typeof value === 'number' && !isNaN(value);
+
+// Unit price of a product in both currencies. A product priced in only one
+// currency is converted at the given LRD per USD rate.
+const getUnitPrices = (product, rate) => {
+  const hasLRD = isPrice(product.priceLRD);
+  const hasUSD = isPrice(product.priceUSD);
+
+  if (!hasLRD && !hasUSD) {
+    throw new HttpError(400, `Product ${product.item} has no selling price`);
+  }
+
+  return {
+    LRD: roundMoney(hasLRD ? product.priceLRD : product.priceUSD * rate),
+    USD: roundMoney(hasUSD ? product.priceUSD : product.priceLRD / rate)
+  };
+};
+
+const SALE_UNITS = ['piece', 'carton'];
+
+// Pieces in one `unit` of a product; a carton holds `cts` pieces
+const getPiecesPerUnit = (product, unit = 'piece') => {
+  if (!SALE_UNITS.includes(unit)) {
+    throw new HttpError(400, 'Unit must be piece or carton');
+  }
+  if (unit === 'piece') {
+    return 1;
+  }
+  if (!(product.cts > 0)) {
+    throw new HttpError(400, `Product ${product.item} has no carton size and cannot be sold by the carton`);
+  }
+  return product.cts;
+};
+
+const findTierPrice = (product, priceListId, unit) => (product.tierPrices || []).find(tier =>
+  String(tier.priceList || '') === String(priceListId || '') && (tier.unit || 'piece') === unit
+);
+
+const scalePrices = (prices, factor) => ({
+  LRD: roundMoney(prices.LRD * factor),
+  USD: roundMoney(prices.USD * factor)
+});
+
+// Price of one `unit` (piece or carton) of a product on `priceList`, in both
+// currencies. A product with no price of its own on the list sells a carton
+// as that many pieces at its piece price on the list, otherwise at retail
+// less the list's discountPercent. Without a price list the retail piece
+// price is the product's own, and a carton without a retail carton price is
+// that many pieces.
+const getTierUnitPrices = (product, priceList, unit, rate) => {
+  const piecesPerUnit = getPiecesPerUnit(product, unit);
+  const priceListId = priceList ? priceList._id : null;
+
+  const own = findTierPrice(product, priceListId, unit);
+  if (own) {
+    return getUnitPrices({ item: product.item, priceLRD: own.priceLRD, priceUSD: own.priceUSD }, rate);
+  }
+
+  if (priceList) {
+    if (unit === 'carton' && findTierPrice(product, priceListId, 'piece')) {
+      return scalePrices(getTierUnitPrices(product, priceList, 'piece', rate), piecesPerUnit);
+    }
+    return scalePrices(getTierUnitPrices(product, null, unit, rate), 1 - (priceList.discountPercent || 0) / 100);
+  }
+
+  if (unit === 'carton') {
+    return scalePrices(getUnitPrices(product, rate), piecesPerUnit);
+  }
+  return getUnitPrices(product, rate);
+};
+
+// Per piece price of a unit holding `piecesPerUnit` pieces. Carton prices
+// keep extra places so a line of whole cartons adds up to the carton price.
+const getPricePerPiece = (unitPrice, piecesPerUnit) => (piecesPerUnit === 1 ? unitPrice : {
+  LRD: Math.round(unitPrice.LRD / piecesPerUnit * 10000) / 10000,
+  USD: Math.round(unitPrice.USD / piecesPerUnit * 10000) / 10000
+});
+
+// Average unit cost of a product in both currencies, or undefined when no cost
+// has been recorded. A cost in only one currency is converted at `rate`.
+const getUnitCosts = (product, rate) => {
+  const hasLRD = isPrice(product.costLRD);
+  const hasUSD = isPrice(product.costUSD);
+
+  if (!hasLRD && !hasUSD) {
+    return undefined;
+  }
+
+  return {
+    LRD: roundMoney(hasLRD ? product.costLRD : product.costUSD * rate),
+    USD: roundMoney(hasUSD ? product.costUSD : product.costLRD / rate)
+  };
+};
+
+// Work out subtotal, discount and total in both currencies from the priced
+// lines and the cashier's discount. Promotion discounts already on the lines
+// (see utils/promotions) come off first and the cashier's discount applies to
+// what is left; discountLRD/USD are the two together.
+const calculateTotals = (lines, { discountType, discountValue } = {}, rate) => {
+  const subtotalLRD = roundMoney(lines.reduce((acc, line) => acc + line.priceAtSale.LRD * line.quantity, 0));
+  const subtotalUSD = roundMoney(lines.reduce((acc, line) => acc + line.priceAtSale.USD * line.quantity, 0));
+  const promotionDiscountLRD = roundMoney(lines.reduce((acc, line) => acc + (line.discountLRD || 0), 0));
+  const promotionDiscountUSD = roundMoney(lines.reduce((acc, line) => acc + (line.discountUSD || 0), 0));
+  const baseLRD = subtotalLRD - promotionDiscountLRD;
+  const baseUSD = subtotalUSD - promotionDiscountUSD;
+
+  const value = Number(discountValue) || 0;
+  if (value < 0) {
+    throw new HttpError(400, 'Discount cannot be negative');
+  }
+
+  let discountLRD = 0;
+  let discountUSD = 0;
+  if (discountType === 'percentage') {
+    const percentage = Math.min(value, 100);
+    discountLRD = baseLRD * percentage / 100;
+    discountUSD = baseUSD * percentage / 100;
+  } else if (discountType === 'fixed_lrd') {
+    discountLRD = Math.min(value, baseLRD);
+    discountUSD = Math.min(discountLRD / rate, baseUSD);
+  } else if (discountType === 'fixed_usd') {
+    discountUSD = Math.min(value, baseUSD);
+    discountLRD = Math.min(discountUSD * rate, baseLRD);
+  }
+
+  const manualDiscountLRD = roundMoney(discountLRD);
+  const manualDiscountUSD = roundMoney(discountUSD);
+  discountLRD = roundMoney(promotionDiscountLRD + manualDiscountLRD);
+  discountUSD = roundMoney(promotionDiscountUSD + manualDiscountUSD);
+
+  return {
+    subtotalLRD,
+    subtotalUSD,
+    promotionDiscountLRD,
+    promotionDiscountUSD,
+    manualDiscountLRD,
+    manualDiscountUSD,
+    discountLRD,
+    discountUSD,
+    totalLRD: roundMoney(subtotalLRD - discountLRD),
+    totalUSD: roundMoney(subtotalUSD - discountUSD)
+  };
+};
+
+// Check the amounts tendered cover the total and work out the change owed
+const settlePayment = ({ currency, amountReceivedLRD, amountReceivedUSD, changeCurrency }, totals, rate) => {
+  if (currency === 'CREDIT') {
+    return { amountReceivedLRD: 0, amountReceivedUSD: 0, change: 0, changeCurrency: undefined };
+  }
+
+  if (currency === 'LRD') {
+    if (typeof amountReceivedLRD !== 'number' || amountReceivedLRD < totals.totalLRD - 0.005) {
+      throw new HttpError(400, 'Amount received in LRD must be greater than or equal to the total');
+    }
+    return {
+      amountReceivedLRD,
+      amountReceivedUSD: 0,
+      change: roundMoney(amountReceivedLRD - totals.totalLRD),
+      changeCurrency: 'LRD'
+    };
+  }
+
+  if (currency === 'USD') {
+    if (typeof amountReceivedUSD !== 'number' || amountReceivedUSD < totals.totalUSD - 0.005) {
+      throw new HttpError(400, 'Amount received in USD must be greater than or equal to the total');
+    }
+    return {
+      amountReceivedLRD: 0,
+      amountReceivedUSD,
+      change: roundMoney(amountReceivedUSD - totals.totalUSD),
+      changeCurrency: 'USD'
+    };
+  }
+
+  if (currency === 'BOTH') {
+    if (typeof amountReceivedLRD !== 'number' || typeof amountReceivedUSD !== 'number') {
+      throw new HttpError(400, 'Both LRD and USD amounts must be provided for split payment');
+    }
+
+    // Value the split payment in LRD at the server's rate
+    const totalPaymentValueLRD = amountReceivedLRD + (amountReceivedUSD * rate);
+    if (totalPaymentValueLRD < totals.totalLRD - 0.005) {
+      throw new HttpError(400, 'Combined payment amount is insufficient');
+    }
+
+    const excessLRD = totalPaymentValueLRD - totals.totalLRD;
+    const paymentChangeCurrency = changeCurrency === 'USD' ? 'USD' : 'LRD';
+    return {
+      amountReceivedLRD,
+      amountReceivedUSD,
+      change: roundMoney(paymentChangeCurrency === 'USD' ? excessLRD / rate : excessLRD),
+      changeCurrency: paymentChangeCurrency
+    };
+  }
+
+  throw new HttpError(400, 'Currency must be LRD, USD, BOTH or CREDIT');
+};
+
+// Reject a figure sent by the client that disagrees with the server's own.
+// Figures the client leaves out are simply not checked.
+const assertClientFigure = (label, clientValue, serverValue, currency) => {
+  if (clientValue === undefined || clientValue === null || clientValue === '') {
+    return;
+  }
+  if (Math.abs(Number(clientValue) - serverValue) > TOLERANCE[currency]) {
+    throw new HttpError(400, `${label} mismatch: the server calculated ${serverValue} ${currency} but received ${clientValue}`);
+  }
+};
+
+// Reject a sale priced with a stale rate on the till
+const assertClientRate = (clientRate, rate) => {
+  if (clientRate !== undefined && clientRate !== null && clientRate !== '' && Math.abs(Number(clientRate) - rate) > 0.0001) {
+    throw new HttpError(409, `The exchange rate has changed to ${rate} LRD per USD. Please refresh and try again.`);
+  }
+};
+
+module.exports = {
+  SALE_UNITS,
+  getUnitPrices,
+  getPiecesPerUnit,
+  getTierUnitPrices,
+  getPricePerPiece,
+  getUnitCosts,
+  calculateTotals,
+  settlePayment,
+  assertClientFigure,
+  assertClientRate
+};
@@ -0,0 +1,145 @@
+const Promotion = require('../models/Promotion');
+const { roundMoney } = require('./money');
+
+// Promotions of `store` running at `date`, highest priority first
+const findActivePromotions = async (store, date = new Date(), session = null) => Promotion.find({
+  store,
+  active: true,
+  startsAt: { $lte: date },
+  $or: [{ endsAt: null }, { endsAt: { $gte: date } }]
+}).sort({ priority: -1, createdAt: 1 }).session(session);
+
+// An amount set in one currency, in both at `rate` (LRD per USD)
+const inBothCurrencies = (amount, currency, rate) => ({
+  LRD: currency === 'USD' ? amount * rate : amount,
+  USD: currency === 'USD' ? amount : amount / rate
+});
+
+const appliesToLine = (promotion, line) =>
+  promotion.products.some(product => product.toString() === line.product.toString()) ||
+  (line.category && promotion.categories.includes(line.category));
+
+// Discount a per-line promotion gives on `quantity` units of a line, in both
+// currencies, or null when it gives none
+const getLineDiscount = (promotion, line, quantity, rate) => {
+  const price = line.priceAtSale;
+  let units = quantity;
+  let perUnit = null;
+
+  if (promotion.type === 'percentage') {
+    perUnit = { LRD: price.LRD * promotion.value / 100, USD: price.USD * promotion.value / 100 };
+  } else if (promotion.type === 'fixed') {
+    const off = inBothCurrencies(promotion.value, promotion.currency, rate);
+    perUnit = { LRD: Math.min(off.LRD, price.LRD), USD: Math.min(off.USD, price.USD) };
+  } else if (promotion.type === 'buy_x_get_y') {
+    const groups = Math.floor(quantity / (promotion.buyQuantity + promotion.getQuantity));
+    units = groups * promotion.getQuantity;
+    const percentOff = promotion.getPercentOff === undefined ? 100 : promotion.getPercentOff;
+    perUnit = { LRD: price.LRD * percentOff / 100, USD: price.USD * percentOff / 100 };
+  } else if (promotion.type === 'quantity_break') {
+    // The largest break the quantity reaches
+    const reached = promotion.breaks
+      .filter(entry => quantity >= entry.minQuantity)
+      .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+    if (reached) {
+      const breakPrice = inBothCurrencies(reached.unitPrice, promotion.currency, rate);
+      perUnit = { LRD: Math.max(0, price.LRD - breakPrice.LRD), USD: Math.max(0, price.USD - breakPrice.USD) };
+    }
+  }
+
+  if (!perUnit || units <= 0) {
+    return null;
+  }
+  const discount = { LRD: roundMoney(perUnit.LRD * units), USD: roundMoney(perUnit.USD * units), quantity: units };
+  return discount.LRD > 0 || discount.USD > 0 ? discount : null;
+};
+
+const describe = (promotion, quantity, discount) => ({
+  promotion: promotion._id,
+  name: promotion.name,
+  type: promotion.type,
+  quantity,
+  discountLRD: roundMoney(discount.LRD),
+  discountUSD: roundMoney(discount.USD)
+});
+
+// Work out the promotions on priced sale lines ({ product, category, quantity,
+// priceAtSale }). Bundles take their items first, in priority order; each
+// line's remaining units then get the single per-line promotion that takes
+// the most off. Returns the lines with `promotions` and the line's total
+// promotion discount in `discountLRD`/`discountUSD`.
+const applyPromotions = (lines, promotions, rate) => {
+  const state = lines.map(line => ({ line, remaining: line.quantity, applied: [] }));
+
+  promotions.filter(promotion => promotion.type === 'bundle').forEach(promotion => {
+    const matching = promotion.bundleItems.map(item =>
+      state.filter(entry => entry.line.product.toString() === item.product.toString())
+    );
+    const sets = Math.min(...promotion.bundleItems.map((item, index) =>
+      Math.floor(matching[index].reduce((acc, entry) => acc + entry.remaining, 0) / item.quantity)
+    ));
+    if (!Number.isFinite(sets) || sets <= 0) {
+      return;
+    }
+
+    // Take the units for the sets from the lines, valued at their regular price
+    const taken = [];
+    promotion.bundleItems.forEach((item, index) => {
+      let needed = item.quantity * sets;
+      matching[index].forEach(entry => {
+        const units = Math.min(needed, entry.remaining);
+        if (units > 0) {
+          entry.remaining -= units;
+          needed -= units;
+          taken.push({ entry, units });
+        }
+      });
+    });
+
+    const regular = taken.reduce((acc, { entry, units }) => {
+      acc.LRD += entry.line.priceAtSale.LRD * units;
+      acc.USD += entry.line.priceAtSale.USD * units;
+      return acc;
+    }, { LRD: 0, USD: 0 });
+    const price = inBothCurrencies(promotion.bundlePrice * sets, promotion.currency, rate);
+    const saving = { LRD: Math.max(0, regular.LRD - price.LRD), USD: Math.max(0, regular.USD - price.USD) };
+
+    // Spread the saving over the lines in proportion to their value
+    taken.forEach(({ entry, units }) => {
+      const shareLRD = regular.LRD > 0 ? entry.line.priceAtSale.LRD * units / regular.LRD : 0;
+      const shareUSD = regular.USD > 0 ? entry.line.priceAtSale.USD * units / regular.USD : 0;
+      entry.applied.push(describe(promotion, units, { LRD: saving.LRD * shareLRD, USD: saving.USD * shareUSD }));
+    });
+  });
+
+  const linePromotions = promotions.filter(promotion => promotion.type !== 'bundle');
+  state.forEach(entry => {
+    if (entry.remaining <= 0) {
+      return;
+    }
+    let best = null;
+    linePromotions
+      .filter(promotion => appliesToLine(promotion, entry.line))
+      .forEach(promotion => {
+        const discount = getLineDiscount(promotion, entry.line, entry.remaining, rate);
+        if (discount && (!best || discount.LRD > best.discount.LRD)) {
+          best = { promotion, discount };
+        }
+      });
+    if (best) {
+      entry.applied.push(describe(best.promotion, best.discount.quantity, best.discount));
+    }
+  });
+
+  return state.map(({ line, applied }) => ({
+    ...line,
+    promotions: applied,
+    discountLRD: roundMoney(applied.reduce((acc, promotion) => acc + promotion.discountLRD, 0)),
+    discountUSD: roundMoney(applied.reduce((acc, promotion) => acc + promotion.discountUSD, 0))
+  }));
+};
+
+module.exports = {
+  findActivePromotions,
+  applyPromotions
+};
@@ -0,0 +1,507 @@
+const PDFDocument = require('pdfkit');
+const { roundMoney } = require('./money');
+
+// Characters per line on 58mm and 80mm thermal paper with the printer's default font
+const PAPER_COLUMNS = { 58: 32, 80: 48 };
+
+// ESC/POS commands: reset the printer, and feed then cut the paper
+const ESC_POS_INIT = '\x1b@';
+const ESC_POS_CUT = '\n\n\n\x1dV\x41\x03';
+
+const TITLES = {
+  sale: 'RECEIPT',
+  return: 'REFUND RECEIPT',
+  credit_payment: 'CREDIT PAYMENT RECEIPT',
+  restock: 'GOODS RECEIVED NOTE'
+};
+
+const formatMoney = (amount, currency) =>
+  `${currency} ${roundMoney(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => new Date(date).toISOString().replace('T', ' ').slice(0, 16);
+
+// Everything a receipt shows, worked out once for all output formats.
+// `credit` is the Credit linked to a credit sale or credit payment, if any;
+// `originalReceiptNumber` the number of the sale a return was made against.
+const buildReceipt = (transaction, { profile, credit, originalReceiptNumber } = {}) => {
+  const isCreditSale = transaction.type === 'sale' && transaction.currency === 'CREDIT';
+  // Lines are priced in the currency paid; LRD for split payments and credit
+  const lineCurrency = transaction.currency === 'USD' ? 'USD' : 'LRD';
+
+  const lines = transaction.productsSold.map(line => {
+    // Lines sold by the carton print in cartons at the carton price
+    const byCarton = line.unit === 'carton' && line.unitQuantity && line.unitPrice;
+    const quantity = byCarton ? line.unitQuantity : line.quantity;
+    return {
+      name: line.productName,
+      quantity,
+      quantityLabel: byCarton ? `${quantity} ctn` : String(quantity),
+      unitPrice: byCarton ? line.unitPrice[lineCurrency] || 0 : line.priceAtSale[lineCurrency] || 0,
+      total: roundMoney((line.priceAtSale[lineCurrency] || 0) * line.quantity),
+      damaged: Boolean(line.damaged),
+      promotions: (line.promotions || []).map(promotion => ({
+        name: promotion.name,
+        discount: lineCurrency === 'USD' ? promotion.discountUSD : promotion.discountLRD
+      }))
+    };
+  });
+
+  const subtotalLRD = transaction.productsSold.reduce((acc, line) => acc + (line.priceAtSale.LRD || 0) * line.quantity, 0);
+  const subtotalUSD = transaction.productsSold.reduce((acc, line) => acc + (line.priceAtSale.USD || 0) * line.quantity, 0);
+
+  const receipt = {
+    title: isCreditSale ? 'CREDIT INVOICE' : (TITLES[transaction.type] || 'RECEIPT'),
+    type: transaction.type,
+    isCreditSale,
+    voided: transaction.status === 'voided',
+    voidReason: transaction.voidReason,
+    store: {
+      name: (profile && profile.displayName) || transaction.store,
+      address: profile && profile.address,
+      phone: profile && profile.phone,
+      email: profile && profile.email,
+      taxId: profile && profile.taxId
+    },
+    receiptNumber: transaction.receiptNumber || transaction._id.toString(),
+    date: transaction.date,
+    cashierName: transaction.cashierName,
+    customerName: transaction.customerName,
+    lineCurrency,
+    lines,
+    totals: {
+      subtotalLRD: roundMoney(subtotalLRD),
+      subtotalUSD: roundMoney(subtotalUSD),
+      discountLRD: roundMoney(transaction.discountLRD || 0),
+      discountUSD: roundMoney(transaction.discountUSD || 0),
+      totalLRD: roundMoney(transaction.totalLRD || 0),
+      totalUSD: roundMoney(transaction.totalUSD || 0)
+    },
+    rate: transaction.currencyRate,
+    payment: null,
+    refund: null,
+    credit: null,
+    footer: profile && profile.receiptFooter
+  };
+
+  if (!isCreditSale && ['sale', 'credit_payment'].includes(transaction.type)) {
+    receipt.payment = {
+      currency: transaction.currency,
+      amountReceivedLRD: transaction.amountReceivedLRD || 0,
+      amountReceivedUSD: transaction.amountReceivedUSD || 0,
+      change: transaction.change || 0,
+      changeCurrency: transaction.changeCurrency || lineCurrency
+    };
+  }
+
+  if (transaction.type === 'return' && transaction.refundCurrency) {
+    receipt.refund = {
+      amount: transaction.refundAmount || 0,
+      currency: transaction.refundCurrency,
+      creditAppliedLRD: transaction.creditAppliedLRD || 0,
+      creditAppliedUSD: transaction.creditAppliedUSD || 0,
+      reason: transaction.returnReason,
+      originalReceipt: originalReceiptNumber || (transaction.originalTransaction ? transaction.originalTransaction.toString() : null)
+    };
+  }
+
+  if (credit) {
+    const outstanding = credit.getOutstanding();
+    receipt.credit = {
+      preferredCurrency: credit.preferredCurrency,
+      dueDate: credit.dueDate,
+      status: credit.status,
+      outstandingLRD: roundMoney(outstanding.LRD),
+      outstandingUSD: roundMoney(outstanding.USD),
+      terms: profile && profile.invoiceTerms
+    };
+  }
+
+  return receipt;
+};
+
+// Rows of [label, value] for the totals block, shared by every format
+const totalsRows = (receipt) => {
+  const rows = [];
+  const { totals } = receipt;
+
+  if (receipt.type !== 'credit_payment') {
+    rows.push(['Subtotal', formatMoney(receipt.lineCurrency === 'USD' ? totals.subtotalUSD : totals.subtotalLRD, receipt.lineCurrency)]);
+    if (totals.discountLRD > 0 || totals.discountUSD > 0) {
+      rows.push(['Discount', `-${receipt.lineCurrency === 'USD' ? formatMoney(totals.discountUSD, 'USD') : formatMoney(totals.discountLRD, 'LRD')}`]);
+    }
+  }
+  rows.push([receipt.type === 'credit_payment' ? 'Paid off balance' : 'Total', formatMoney(totals.totalLRD, 'LRD')]);
+  rows.push(['', formatMoney(totals.totalUSD, 'USD')]);
+
+  if (receipt.payment) {
+    if (receipt.payment.amountReceivedLRD > 0) {
+      rows.push(['Cash received', formatMoney(receipt.payment.amountReceivedLRD, 'LRD')]);
+    }
+    if (receipt.payment.amountReceivedUSD > 0) {
+      rows.push([receipt.payment.amountReceivedLRD > 0 ? '' : 'Cash received', formatMoney(receipt.payment.amountReceivedUSD, 'USD')]);
+    }
+    rows.push(['Change', formatMoney(receipt.payment.change, receipt.payment.changeCurrency)]);
+  }
+
+  if (receipt.refund) {
+    if (receipt.refund.creditAppliedLRD > 0 || receipt.refund.creditAppliedUSD > 0) {
+      rows.push(['Taken off credit', formatMoney(receipt.refund.creditAppliedLRD, 'LRD')]);
+    }
+    rows.push(['Refunded', formatMoney(receipt.refund.amount, receipt.refund.currency)]);
+  }
+
+  if (receipt.credit) {
+    rows.push(['Balance owed', formatMoney(receipt.credit.outstandingLRD, 'LRD')]);
+    rows.push(['', formatMoney(receipt.credit.outstandingUSD, 'USD')]);
+  }
+
+  if (receipt.rate) {
+    rows.push(['Rate', `1 USD = ${receipt.rate} LRD`]);
+  }
+  return rows;
+};
+
+// Receipt details printed under the store header
+const detailRows = (receipt) => {
+  const rows = [
+    ['No.', receipt.receiptNumber],
+    ['Date', formatDate(receipt.date)]
+  ];
+  if (receipt.cashierName) {
+    rows.push(['Cashier', receipt.cashierName]);
+  }
+  if (receipt.customerName) {
+    rows.push(['Customer', receipt.customerName]);
+  }
+  if (receipt.credit && receipt.credit.dueDate) {
+    rows.push(['Due', formatDate(receipt.credit.dueDate).slice(0, 10)]);
+  }
+  if (receipt.refund && receipt.refund.originalReceipt) {
+    rows.push(['Sale', receipt.refund.originalReceipt]);
+  }
+  if (receipt.refund && receipt.refund.reason) {
+    rows.push(['Reason', receipt.refund.reason]);
+  }
+  return rows;
+};
+
+const storeHeaderLines = (receipt) => [
+  receipt.store.address,
+  receipt.store.phone ? `Tel: ${receipt.store.phone}` : null,
+  receipt.store.email,
+  receipt.store.taxId ? `TIN: ${receipt.store.taxId}` : null
+].filter(Boolean);
+
+// Plain text for thermal printers, `paper` 58 or 80 (mm). Kept to ASCII so it
+// prints on printers without a code page set up.
+const renderReceiptText = (receipt, { paper = 80 } = {}) => {
+  const width = PAPER_COLUMNS[paper] || PAPER_COLUMNS[80];
+  const ascii = (text) => String(text === undefined || text === null ? '' : text).replace(/[^\x20-\x7e]/g, '?');
+  const center = (text) => {
+    const value = ascii(text).slice(0, width);
+    return ' '.repeat(Math.floor((width - value.length) / 2)) + value;
+  };
+  const leftRight = (left, right) => {
+    const r = ascii(right);
+    const l = ascii(left).slice(0, Math.max(0, width - r.length - 1));
+    return l + ' '.repeat(Math.max(1, width - l.length - r.length)) + r;
+  };
+  const wrap = (text) => {
+    const value = ascii(text);
+    const rows = [];
+    for (let i = 0; i < value.length; i += width) {
+      rows.push(value.slice(i, i + width));
+    }
+    return rows.length ? rows : [''];
+  };
+  const rule = '-'.repeat(width);
+
+  const out = [];
+  out.push(center(receipt.store.name.toUpperCase()));
+  storeHeaderLines(receipt).forEach(line => out.push(center(line)));
+  out.push(rule);
+  out.push(center(receipt.title));
+  if (receipt.voided) {
+    out.push(center('*** VOID ***'));
+  }
+  out.push(rule);
+  detailRows(receipt).forEach(([label, value]) => out.push(leftRight(label, value)));
+  out.push(rule);
+
+  receipt.lines.forEach(line => {
+    wrap(line.damaged ? `${line.name} (damaged)` : line.name).forEach(row => out.push(row));
+    out.push(leftRight(`  ${line.quantityLabel} x ${formatMoney(line.unitPrice, receipt.lineCurrency)}`, formatMoney(line.total, receipt.lineCurrency)));
+    line.promotions.forEach(promotion => out.push(leftRight(`  ${promotion.name}`, `-${formatMoney(promotion.discount, receipt.lineCurrency)}`)));
+  });
+  if (receipt.lines.length > 0) {
+    out.push(rule);
+  }
+
+  totalsRows(receipt).forEach(([label, value]) => out.push(leftRight(label, value)));
+
+  if (receipt.isCreditSale) {
+    out.push(rule);
+    if (receipt.credit && receipt.credit.terms) {
+      wrap(receipt.credit.terms).forEach(row => out.push(row));
+    }
+    wrap('Received the above goods on credit.').forEach(row => out.push(row));
+    out.push('');
+    out.push('');
+    out.push(`Signature: ${'_'.repeat(Math.max(0, width - 11))}`);
+  }
+  if (receipt.footer) {
+    out.push(rule);
+    wrap(receipt.footer).forEach(row => out.push(center(row.trim())));
+  }
+
+  return `${out.join('\n')}\n`;
+};
+
+// Text receipt wrapped in the ESC/POS commands to reset the printer and cut
+// the paper, ready to send to the printer as raw bytes
+const renderReceiptEscPos = (receipt, options) =>
+  Buffer.from(`${ESC_POS_INIT}${renderReceiptText(receipt, options)}${ESC_POS_CUT}`, 'ascii');
+
+const escapeHtml = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Self-contained HTML page sized for an 80mm receipt, printable from a browser
+const renderReceiptHtml = (receipt) => {
+  const row = ([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="right">${escapeHtml(value)}</td></tr>`;
+  const lines = receipt.lines.map(line => `
+      <tr>
+        <td>${escapeHtml(line.name)}${line.damaged ? ' <em>(damaged)</em>' : ''}<br><small>${escapeHtml(line.quantityLabel)} x ${escapeHtml(formatMoney(line.unitPrice, receipt.lineCurrency))}</small></td>
+        <td class="right">${escapeHtml(formatMoney(line.total, receipt.lineCurrency))}</td>
+      </tr>${line.promotions.map(promotion => `
+      <tr><td><small>${escapeHtml(promotion.name)}</small></td><td class="right"><small>-${escapeHtml(formatMoney(promotion.discount, receipt.lineCurrency))}</small></td></tr>`).join('')}`).join('');
+
+  const signature = receipt.isCreditSale ? `
+    <div class="terms">${escapeHtml(receipt.credit && receipt.credit.terms)}</div>
+    <p>Received the above goods on credit.</p>
+    <div class="signature">Customer signature</div>` : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(receipt.title)} ${escapeHtml(receipt.receiptNumber)}</title>
+  <style>
+    body { font-family: monospace; font-size: 12px; width: 72mm; margin: 0 auto; padding: 4mm 0; }
+    h1 { font-size: 16px; margin: 0; text-align: center; }
+    h2 { font-size: 13px; margin: 6px 0; text-align: center; }
+    .center { text-align: center; }
+    .right { text-align: right; white-space: nowrap; }
+    .void { text-align: center; font-weight: bold; font-size: 16px; border: 2px solid #000; margin: 6px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    td { vertical-align: top; padding: 1px 0; }
+    hr { border: none; border-top: 1px dashed #000; }
+    .terms { margin-top: 8px; }
+    .signature { border-top: 1px solid #000; margin-top: 40px; padding-top: 2px; }
+    @media print { body { width: auto; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(receipt.store.name)}</h1>
+  ${storeHeaderLines(receipt).map(line => `<div class="center">${escapeHtml(line)}</div>`).join('\n  ')}
+  <hr>
+  <h2>${escapeHtml(receipt.title)}</h2>
+  ${receipt.voided ? `<div class="void">VOID${receipt.voidReason ? ` - ${escapeHtml(receipt.voidReason)}` : ''}</div>` : ''}
+  <table>${detailRows(receipt).map(row).join('')}</table>
+  <hr>
+  ${receipt.lines.length > 0 ? `<table>${lines}</table>\n  <hr>` : ''}
+  <table>${totalsRows(receipt).map(row).join('')}</table>
+  ${signature}
+  ${receipt.footer ? `<hr>\n  <div class="center">${escapeHtml(receipt.footer)}</div>` : ''}
+</body>
+</html>
+`;
+};
+
+// A4 PDF, used for invoices and for emailing receipts. Resolves with the file contents.
+const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const contentWidth = right - left;
+  const labelValue = ([label, value]) => {
+    const y = doc.y;
+    doc.text(label, left, y, { width: contentWidth / 2 });
+    doc.text(value, left + contentWidth / 2, y, { width: contentWidth / 2, align: 'right' });
+  };
+
+  doc.fontSize(18).font('Helvetica-Bold').text(receipt.store.name, { align: 'center' });
+  doc.fontSize(10).font('Helvetica');
+  storeHeaderLines(receipt).forEach(line => doc.text(line, { align: 'center' }));
+  doc.moveDown();
+  doc.fontSize(14).font('Helvetica-Bold').text(receipt.title, { align: 'center' });
+  if (receipt.voided) {
+    doc.fillColor('red').text(`VOID${receipt.voidReason ? ` - ${receipt.voidReason}` : ''}`, { align: 'center' }).fillColor('black');
+  }
+  doc.moveDown();
+
+  doc.fontSize(10).font('Helvetica');
+  detailRows(receipt).forEach(labelValue);
+  doc.moveDown();
+
+  if (receipt.lines.length > 0) {
+    const columns = [left, left + contentWidth * 0.5, left + contentWidth * 0.62, left + contentWidth * 0.81];
+    const header = doc.y;
+    doc.font('Helvetica-Bold');
+    doc.text('Item', columns[0], header);
+    doc.text('Qty', columns[1], header, { width: contentWidth * 0.1, align: 'right' });
+    doc.text('Price', columns[2], header, { width: contentWidth * 0.18, align: 'right' });
+    doc.text('Total', columns[3], header, { width: contentWidth * 0.19, align: 'right' });
+    doc.font('Helvetica');
+    doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).stroke();
+    doc.moveDown(0.5);
+
+    receipt.lines.forEach(line => {
+      const y = doc.y;
+      doc.text(line.damaged ? `${line.name} (damaged)` : line.name, columns[0], y, { width: contentWidth * 0.48 });
+      const after = doc.y;
+      doc.text(line.quantityLabel, columns[1], y, { width: contentWidth * 0.1, align: 'right' });
+      doc.text(formatMoney(line.unitPrice, receipt.lineCurrency), columns[2], y, { width: contentWidth * 0.18, align: 'right' });
+      doc.text(formatMoney(line.total, receipt.lineCurrency), columns[3], y, { width: contentWidth * 0.19, align: 'right' });
+      doc.y = Math.max(after, doc.y);
+      line.promotions.forEach(promotion => {
+        const promotionY = doc.y;
+        doc.text(`  ${promotion.name}`, columns[0], promotionY, { width: contentWidth * 0.48 });
+        doc.text(`-${formatMoney(promotion.discount, receipt.lineCurrency)}`, columns[3], promotionY, { width: contentWidth * 0.19, align: 'right' });
+      });
+    });
+    doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).stroke();
+    doc.moveDown();
+  }
+
+  totalsRows(receipt).forEach(labelValue);
+
+  if (receipt.isCreditSale) {
+    doc.moveDown(2);
+    if (receipt.credit && receipt.credit.terms) {
+      doc.text(receipt.credit.terms, left, doc.y, { width: contentWidth });
+      doc.moveDown();
+    }
+    doc.text('Received the above goods on credit.', left, doc.y);
+    doc.moveDown(3);
+    doc.moveTo(left, doc.y).lineTo(left + 200, doc.y).stroke();
+    doc.text('Customer signature', left, doc.y + 4);
+  }
+
+  if (receipt.footer) {
+    doc.moveDown(2);
+    doc.text(receipt.footer, left, doc.y, { width: contentWidth, align: 'center' });
+  }
+
+  doc.end();
+});
+
+// A4 PDF of a customer statement built by getCustomerStatement. Resolves with
+// the file contents.
+const renderStatementPdf = (statement, { profile } = {}) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { currency } = statement;
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const contentWidth = right - left;
+  const columns = [
+    { x: left, width: contentWidth * 0.16 },
+    { x: left + contentWidth * 0.16, width: contentWidth * 0.4 },
+    { x: left + contentWidth * 0.56, width: contentWidth * 0.22, align: 'right' },
+    { x: left + contentWidth * 0.78, width: contentWidth * 0.22, align: 'right' }
+  ];
+  const row = (values, options = {}) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    let bottom = y;
+    values.forEach((value, index) => {
+      const column = columns[index];
+      doc.text(value === null || value === undefined ? '' : String(value), column.x, y, { width: column.width, align: column.align || 'left', ...options });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom;
+  };
+  const header = {
+    store: {
+      name: (profile && profile.displayName) || statement.customer.store,
+      address: profile && profile.address,
+      phone: profile && profile.phone,
+      email: profile && profile.email,
+      taxId: profile && profile.taxId
+    }
+  };
+
+  doc.fontSize(18).font('Helvetica-Bold').text(header.store.name, { align: 'center' });
+  doc.fontSize(10).font('Helvetica');
+  storeHeaderLines(header).forEach(line => doc.text(line, { align: 'center' }));
+  doc.moveDown();
+  doc.fontSize(14).font('Helvetica-Bold').text('CUSTOMER STATEMENT', { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(10).font('Helvetica');
+  doc.text(statement.customer.name, left);
+  [statement.customer.address, statement.customer.phone].filter(Boolean).forEach(line => doc.text(line, left));
+  doc.text(`Period: ${statement.from ? formatDate(statement.from).slice(0, 10) : 'Start of account'} to ${formatDate(statement.to).slice(0, 10)}`, left);
+  doc.text(`Amounts in ${currency}`, left);
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold');
+  row(['Date', 'Details', 'Amount', 'Balance']);
+  doc.font('Helvetica');
+  doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).stroke();
+  doc.moveDown(0.5);
+
+  row(['', 'Opening balance', '', formatMoney(statement.openingBalance, currency)]);
+  statement.entries.forEach(entry => {
+    const details = entry.receiptNumber ? `${entry.description} ${entry.receiptNumber}` : entry.description;
+    row([formatDate(entry.date).slice(0, 10), details, formatMoney(entry.amount, currency), formatMoney(entry.balance, currency)]);
+    (entry.lines || []).forEach(line => {
+      doc.fontSize(8);
+      row(['', `  ${line.quantity} x ${line.productName} @ ${formatMoney(line.unitPrice, currency)}`, formatMoney(line.total, currency), '']);
+      doc.fontSize(10);
+    });
+  });
+
+  doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).stroke();
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold');
+  row(['', 'Closing balance', '', formatMoney(statement.closingBalance, currency)]);
+  doc.font('Helvetica');
+  doc.moveDown();
+  row(['', 'Credit sales in period', formatMoney(statement.totals.sales, currency), '']);
+  row(['', 'Payments in period', formatMoney(statement.totals.payments, currency), '']);
+  if (statement.totals.returns > 0) {
+    row(['', 'Returns in period', formatMoney(statement.totals.returns, currency), '']);
+  }
+
+  if (profile && profile.invoiceTerms) {
+    doc.moveDown(2);
+    doc.text(profile.invoiceTerms, left, doc.y, { width: contentWidth });
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  PAPER_COLUMNS,
+  buildReceipt,
+  renderReceiptText,
+  renderReceiptEscPos,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  renderStatementPdf
+};
@@ -0,0 +1,66 @@
+const ReceiptCounter = require('../models/ReceiptCounter');
+const Transaction = require('../models/Transaction');
+const StoreProfile = require('../models/StoreProfile');
+const { HttpError } = require('./errors');
+
+const SEQUENCE_DIGITS = 6;
+
+const formatReceiptNumber = (storeCode, year, seq) =>
+  `${storeCode}-${year}-${String(seq).padStart(SEQUENCE_DIGITS, '0')}`;
+
+// Code that starts the store's receipt numbers, e.g. MAIN. It is set on the
+// store profile and unique across stores; receipts are not numbered without one.
+const getStoreReceiptCode = async (store, session) => {
+  const profile = await StoreProfile.findOne({ store }).select('receiptCode').session(session);
+  if (!profile || !profile.receiptCode) {
+    throw new HttpError(400, `Store ${store} has no receipt code. Set one in the store profile before taking sales`);
+  }
+  return profile.receiptCode;
+};
+
+// Highest sequence already on a receipt for the store and year. Used to seed
+// a new counter, e.g. when transactions were pulled from the other database
+// before its counters were.
+const findHighestIssued = async (store, year, session) => {
+  const latest = await Transaction.findOne({ store, receiptYear: year })
+    .sort({ receiptSequence: -1 })
+    .select('receiptSequence')
+    .session(session);
+  return latest ? latest.receiptSequence : 0;
+};
+
+// Take the next receipt number for `store`. Must run inside the transaction
+// that saves the receipt so the number is only used if the receipt commits.
+const nextReceiptNumber = async (store, session, date = new Date()) => {
+  const year = date.getFullYear();
+  const storeCode = await getStoreReceiptCode(store, session);
+
+  // One atomic upsert, so two sales opening the year's counter at once
+  // cannot both create it
+  let counter = await ReceiptCounter.findOneAndUpdate(
+    { store, year },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  if (counter.seq === 1) {
+    const highest = await findHighestIssued(store, year, session);
+    if (highest > 0) {
+      counter = await ReceiptCounter.findOneAndUpdate(
+        { _id: counter._id },
+        { $set: { seq: highest + 1 } },
+        { new: true, session }
+      );
+    }
+  }
+
+  return {
+    receiptNumber: formatReceiptNumber(storeCode, year, counter.seq),
+    receiptYear: year,
+    receiptSequence: counter.seq
+  };
+};
+
+module.exports = {
+  formatReceiptNumber,
+  nextReceiptNumber
+};
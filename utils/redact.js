@@ -0,0 +1,21 @@
+// Keys whose values never go into the logs: passwords (including a manager's
+// approverPassword), tokens and other secrets
+const SECRET_KEY = /password|token|secret|authorization/i;
+
+// Copy of a request body or headers that is safe to log
+const redactSecrets = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      SECRET_KEY.test(key) && entry !== undefined && entry !== null ? '[redacted]' : redactSecrets(entry)
+    ]));
+  }
+  return value;
+};
+
+module.exports = {
+  redactSecrets
+};
@@ -0,0 +1,164 @@
+const Product = require('../models/Product');
+const Transaction = require('../models/Transaction');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+// Reorder level used when neither the product nor its category sets one
+const DEFAULT_REORDER_LEVEL = Number(process.env.DEFAULT_REORDER_LEVEL) || 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Aggregation stages that add effectiveReorderLevel / effectiveReorderQuantity
+// to each product: the product's own value, else its category's, else the default.
+const effectiveReorderStages = () => [
+  {
+    $lookup: {
+      from: 'categorysettings',
+      let: { store: '$store', category: '$category' },
+      pipeline: [
+        { $match: { $expr: { $and: [{ $eq: ['$store', '$$store'] }, { $eq: ['$category', '$$category'] }] } } },
+        { $limit: 1 }
+      ],
+      as: 'categorySetting'
+    }
+  },
+  { $set: { categorySetting: { $first: '$categorySetting' } } },
+  {
+    $set: {
+      effectiveReorderLevel: {
+        $ifNull: ['$reorderLevel', { $ifNull: ['$categorySetting.reorderLevel', DEFAULT_REORDER_LEVEL] }]
+      },
+      effectiveReorderQuantity: {
+        $ifNull: ['$reorderQuantity', { $ifNull: ['$categorySetting.reorderQuantity', null] }]
+      }
+    }
+  },
+  { $unset: 'categorySetting' }
+];
+
+// Products at or below their effective reorder level, lowest stock first
+const findLowStockProducts = async (storeFilter, { page = 1, limit = 100 } = {}) => {
+  const [result] = await Product.aggregate([
+    { $match: storeFilter },
+    ...effectiveReorderStages(),
+    { $match: { $expr: { $lte: [{ $ifNull: ['$pieces', 0] }, '$effectiveReorderLevel'] } } },
+    {
+      $facet: {
+        products: [
+          { $sort: { pieces: 1, item: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    products: result.products,
+    totalCount: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+// Pieces sold per product over the last `days` days, net of returns
+const getSalesVelocity = async (storeFilter, days) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const rows = await Transaction.aggregate([
+    { $match: { ...storeFilter, type: { $in: ['sale', 'return'] }, status: { $ne: 'voided' }, date: { $gte: since } } },
+    { $unwind: '$productsSold' },
+    {
+      $group: {
+        _id: '$productsSold.product',
+        quantity: {
+          $sum: {
+            $cond: [{ $eq: ['$type', 'return'] }, { $multiply: ['$productsSold.quantity', -1] }, '$productsSold.quantity']
+          }
+        }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), Math.max(0, row.quantity)]));
+};
+
+// Pieces already ordered from suppliers but not yet received, per product
+const getQuantitiesOnOrder = async (storeFilter) => {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { ...storeFilter, status: { $in: ['sent', 'partially_received'] } } },
+    { $unwind: '$lines' },
+    {
+      $group: {
+        _id: '$lines.product',
+        quantity: { $sum: { $max: [{ $subtract: ['$lines.quantityOrdered', { $ifNull: ['$lines.quantityReceived', 0] }] }, 0] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+};
+
+// Work out what to reorder from recent sales.
+// A product is suggested when its stock (plus what is already on order) is at
+// or below its reorder level, or would run out within `leadTimeDays` at the
+// current rate of sale. The suggested quantity brings stock up to
+// `coverDays` of sales above the reorder level, and is at least the
+// product's reorder quantity.
+const buildReorderSuggestions = async (storeFilter, { days = 30, leadTimeDays = 7, coverDays = 30 } = {}) => {
+  const [products, velocity, onOrder] = await Promise.all([
+    Product.aggregate([
+      { $match: storeFilter },
+      ...effectiveReorderStages(),
+      { $project: { item: 1, category: 1, store: 1, barcode: 1, pieces: 1, reorderLevel: 1, reorderQuantity: 1, effectiveReorderLevel: 1, effectiveReorderQuantity: 1 } }
+    ]),
+    getSalesVelocity(storeFilter, days),
+    getQuantitiesOnOrder(storeFilter)
+  ]);
+
+  const suggestions = [];
+  products.forEach(product => {
+    const id = product._id.toString();
+    const pieces = Math.max(0, product.pieces || 0);
+    const quantityOnOrder = onOrder.get(id) || 0;
+    const soldInPeriod = velocity.get(id) || 0;
+    const dailySales = soldInPeriod / days;
+    const available = pieces + quantityOnOrder;
+
+    const belowLevel = available <= product.effectiveReorderLevel;
+    const runsOutInLeadTime = dailySales > 0 && available < dailySales * leadTimeDays;
+    if (!belowLevel && !runsOutInLeadTime) {
+      return;
+    }
+
+    const targetStock = Math.ceil(dailySales * coverDays) + product.effectiveReorderLevel;
+    const suggestedQuantity = Math.max(targetStock - available, product.effectiveReorderQuantity || 0, 0);
+    if (suggestedQuantity === 0) {
+      return;
+    }
+
+    suggestions.push({
+      ...product,
+      quantityOnOrder,
+      soldInPeriod,
+      dailySales: Math.round(dailySales * 100) / 100,
+      daysOfStockLeft: dailySales > 0 ? Math.floor(pieces / dailySales) : null,
+      suggestedQuantity
+    });
+  });
+
+  // Most urgent first: products running out soonest, then those not selling
+  suggestions.sort((a, b) => {
+    if (a.daysOfStockLeft === null && b.daysOfStockLeft === null) return (a.pieces || 0) - (b.pieces || 0);
+    if (a.daysOfStockLeft === null) return 1;
+    if (b.daysOfStockLeft === null) return -1;
+    return a.daysOfStockLeft - b.daysOfStockLeft;
+  });
+
+  return suggestions;
+};
+
+module.exports = {
+  DEFAULT_REORDER_LEVEL,
+  effectiveReorderStages,
+  findLowStockProducts,
+  getSalesVelocity,
+  buildReorderSuggestions
+};
@@ -0,0 +1,103 @@
+const Product = require('../models/Product');
+const { roundMoney } = require('./money');
+
+// Default LRD rounding step for prices converted from USD (e.g. 5 or 10).
+// 0 keeps the exact converted amount.
+const DEFAULT_ROUND_TO = Number(process.env.PRICE_ROUND_TO_LRD) || 0;
+
+const ROUND_MODES = {
+  nearest: Math.round,
+  up: Math.ceil,
+  down: Math.floor
+};
+
+// Round an LRD amount to a multiple of `roundTo`
+const roundToStep = (value, roundTo = DEFAULT_ROUND_TO, roundMode = 'nearest') => {
+  const step = Number(roundTo) || 0;
+  if (step <= 0) {
+    return roundMoney(value);
+  }
+  const round = ROUND_MODES[roundMode] || ROUND_MODES.nearest;
+  return roundMoney(round(value / step) * step);
+};
+
+// LRD selling price of a USD-anchored product at the given rate
+const priceLRDFromUSD = (priceUSD, rate, roundTo, roundMode) => roundToStep(Number(priceUSD) * rate, roundTo, roundMode);
+
+// A product is USD-anchored unless it was explicitly priced in LRD
+const USD_ANCHORED_QUERY = {
+  priceUSD: { $gt: 0 },
+  priceCurrency: { $ne: 'LRD' }
+};
+
+// Recalculate LRD prices (and stock value) of USD-anchored products at `rate`.
+// With dryRun nothing is written and the report shows what would change.
+const repriceProducts = async ({ rate, stores, roundTo = DEFAULT_ROUND_TO, roundMode = 'nearest', dryRun = false }, session = null) => {
+  const query = { ...USD_ANCHORED_QUERY };
+  if (Array.isArray(stores) && stores.length > 0) {
+    query.store = { $in: stores };
+  }
+
+  const products = await Product.find(query)
+    .select('item store priceUSD priceLRD pieces totalLRD')
+    .session(session)
+    .lean();
+
+  const changes = [];
+  const storeSummaries = {};
+
+  products.forEach(product => {
+    if (!storeSummaries[product.store]) {
+      storeSummaries[product.store] = { store: product.store, scanned: 0, changed: 0, unchanged: 0 };
+    }
+    const summary = storeSummaries[product.store];
+    summary.scanned += 1;
+
+    const newPriceLRD = priceLRDFromUSD(product.priceUSD, rate, roundTo, roundMode);
+    if (typeof product.priceLRD === 'number' && Math.abs(newPriceLRD - product.priceLRD) < 0.005) {
+      summary.unchanged += 1;
+      return;
+    }
+
+    summary.changed += 1;
+    changes.push({
+      _id: product._id,
+      item: product.item,
+      store: product.store,
+      priceUSD: product.priceUSD,
+      oldPriceLRD: product.priceLRD,
+      newPriceLRD,
+      difference: roundMoney(newPriceLRD - (product.priceLRD || 0)),
+      oldTotalLRD: product.totalLRD,
+      newTotalLRD: product.pieces ? roundMoney(product.pieces * newPriceLRD) : product.totalLRD
+    });
+  });
+
+  if (!dryRun && changes.length > 0) {
+    await Product.bulkWrite(changes.map(change => ({
+      updateOne: {
+        filter: { _id: change._id },
+        update: { $set: { priceLRD: change.newPriceLRD, totalLRD: change.newTotalLRD } }
+      }
+    })), { ordered: false, session });
+  }
+
+  return {
+    rate,
+    dryRun,
+    roundTo: Number(roundTo) || 0,
+    roundMode,
+    scanned: products.length,
+    changed: changes.length,
+    unchanged: products.length - changes.length,
+    stores: Object.values(storeSummaries).sort((a, b) => a.store.localeCompare(b.store)),
+    changes
+  };
+};
+
+module.exports = {
+  DEFAULT_ROUND_TO,
+  roundToStep,
+  priceLRDFromUSD,
+  repriceProducts
+};
@@ -0,0 +1,18 @@
+const Shift = require('../models/Shift');
+
+// Id of the user's open shift at `store`, or null when they have not opened
+// one. The shift is stamped with the time of the transaction so that, inside
+// a database transaction, this write conflicts with closeShift's: a sale and
+// the close of its shift cannot both commit without one seeing the other.
+const findOpenShiftId = async (user, store, session = null) => {
+  const shift = await Shift.findOneAndUpdate(
+    { store, cashier: user._id, status: 'open' },
+    { $set: { lastTransactionAt: new Date() } },
+    { new: true, projection: { _id: 1 }, session }
+  );
+  return shift ? shift._id : null;
+};
+
+module.exports = {
+  findOpenShiftId
+};